@@ -10,7 +10,23 @@ const cloudinary = require('cloudinary').v2;
 const asyncHandler = require('express-async-handler');
 
 // Importa todos os modelos
-const { User, Game, Deposit, Withdrawal, LobbyRoom, AdminSettings } = require('./models.js');
+const { User, Session, Game, Tournament, Deposit, Withdrawal, LobbyRoom, Friendship, LedgerEntry, Notification, ChatMessage, AdminSettings } = require('./models.js');
+
+// Motor de regras das damas (geração de lances, variantes, empates e PDN)
+const {
+    VARIANTS, DEFAULT_VARIANT, getVariant, oppositeColor,
+    initializeBoard, findAllPossibleMoves, applyMove, hasLegalMove,
+    getPositionKey, getEndgameDrawLimit,
+    resolveRequestedMove, BOT_LEVELS, DEFAULT_BOT_LEVEL, getVariantByPdnGameType,
+    validateBoard, replayMoves, renderPdn, parsePdn, parsePdnFen, validatePdnMoves,
+} = require('./gameEngine.js');
+// As pesquisas do bot e da análise correm em worker_threads
+const { runEngineTask, isEngineSaturated } = require('./enginePool.js');
+
+// Modelos de email (layout comum, pt-MZ e en)
+const { SUPPORTED_LOCALES, renderEmail, formatAmount } = require('./emails.js');
+const { getLockoutSeconds, recordFailedAttempt, clearFailedAttempts } = require('./rateLimiter.js');
+const { generateSecret, verifyCode, buildOtpauthUri, generateRecoveryCodes, encryptSecret, decryptSecret } = require('./totp.js');
 
 // --- 2. CONFIGURAÇÕES DE SERVIÇOS EXTERNOS ---
 cloudinary.config({
@@ -27,35 +43,380 @@ const transporter = nodemailer.createTransport({
 });
 
 // --- 3. FUNÇÕES HELPER ---
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
-
-const sendPasswordResetEmail = async (email, token, username) => {
-    const emailHtml = `
-    <div style="font-family: 'Poppins', sans-serif; background-color: #f4f4f4; padding: 20px; text-align: center;">
-        <div style="max-width: 600px; margin: auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
-            <div style="background-color: #4a2c2a; color: white; padding: 20px;">
-                <h1 style="margin: 0; font-size: 28px;">BrainSkill</h1>
-            </div>
-            <div style="padding: 30px; color: #555; text-align: left; line-height: 1.6;">
-                <h2 style="color: #4a2c2a;">Olá, ${username}!</h2>
-                <p>Use o código abaixo para criar uma nova senha. Este código é válido por <strong>15 minutos</strong>.</p>
-                <div style="text-align: center; margin: 30px 0;">
-                    <span style="display: inline-block; background-color: #8b5e3c; color: white; padding: 15px 30px; font-size: 24px; letter-spacing: 5px; border-radius: 5px;">
-                        ${token}
-                    </span>
-                </div>
-                <p>Se não foi você, pode ignorar este e-mail.</p>
-            </div>
-            <div style="background-color: #f0e5d8; color: #8b5e3c; padding: 15px; font-size: 12px;">© ${new Date().getFullYear()} BrainSkill.</div>
-        </div>
-    </div>`;
-    await transporter.sendMail({
-        from: process.env.EMAIL_FROM, to: email, subject: 'Recuperação de Senha - BrainSkill', html: emailHtml
+// Controlos de tempo disponíveis ao criar uma sala (minutos + incremento em segundos)
+const TIME_CONTROL_PRESETS = {
+    '3+2': { initial: 180, increment: 2 },
+    '5+0': { initial: 300, increment: 0 },
+    '5+3': { initial: 300, increment: 3 },
+    '10+0': { initial: 600, increment: 0 },
+    '10+5': { initial: 600, increment: 5 },
+};
+const DEFAULT_TIME_CONTROL = '10+5';
+
+// --- Sessões e tokens ---
+// O token de acesso (JWT) é curto e leva o id da sessão, verificado em cada pedido e ligação de socket.
+// O refresh token `${sessionId}.${segredo}` obtém um novo token de acesso e é trocado a cada utilização.
+const AUTH_TOKENS = { accessTtl: '15m', refreshTtlDays: 30 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const getRefreshExpiry = () => new Date(Date.now() + AUTH_TOKENS.refreshTtlDays * 24 * 60 * 60 * 1000);
+
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: AUTH_TOKENS.accessTtl });
+};
+
+// Sala de Socket.IO com os sockets abertos por uma sessão, para os desligar quando ela é revogada
+const getSessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Abre uma sessão para o dispositivo do pedido e devolve o par de tokens
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        ip: req.ip,
+        expiresAt: getRefreshExpiry(),
+    });
+    return { token: generateToken(user._id, session.id), refreshToken: `${session.id}.${secret}` };
+};
+
+// Revoga as sessões ativas que cumprem `filter` e desliga os respetivos sockets. Devolve quantas foram revogadas.
+const revokeSessions = async (io, filter, reason) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    if (sessions.length === 0) return 0;
+    await Session.updateMany(
+        { _id: { $in: sessions.map(s => s._id) }, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    if (io) sessions.forEach(s => io.in(getSessionRoom(s._id)).disconnectSockets(true));
+    return sessions.length;
+};
+
+// --- Dois fatores ---
+// Segundo passo do login: token curto que só serve para trocar por uma sessão com o código TOTP
+const TWO_FACTOR_LOGIN_TTL = '5m';
+
+const generateTwoFactorLoginToken = (id) => jwt.sign({ id, purpose: '2fa_login' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_LOGIN_TTL });
+
+// Verifica um código TOTP do utilizador; com `allowRecovery` aceita também um código de recuperação,
+// que fica gasto. Cada código TOTP só é aceite uma vez: um código certo mas já usado (por exemplo,
+// no login feito segundos antes) devolve `replayed`, que não conta como tentativa falhada.
+const verifyTwoFactorCode = async (userId, code, { allowRecovery = false } = {}) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user?.twoFactor?.enabled || !code) return { valid: false, replayed: false };
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null) {
+        const claimed = await User.updateOne(
+            { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return { valid: claimed.modifiedCount === 1, replayed: claimed.modifiedCount === 0 };
+    }
+    if (!allowRecovery) return { valid: false, replayed: false };
+    const codeHash = hashToken(String(code).trim().toLowerCase());
+    const used = await User.updateOne({ _id: userId, 'twoFactor.recoveryCodes': codeHash }, { $pull: { 'twoFactor.recoveryCodes': codeHash } });
+    return { valid: used.modifiedCount === 1, replayed: false };
+};
+
+const assertTwoFactorNotReplayed = (res, result) => {
+    if (!result.replayed) return;
+    res.status(409);
+    throw new Error('Este código já foi usado. Aguarde pelo próximo código da aplicação de autenticação.');
+};
+
+// Operações sensíveis (levantamentos, números de pagamento) pedem um código atual em `twoFactorCode`
+// a quem tem a 2FA ativa
+const assertFreshTwoFactor = async (req, res) => {
+    if (!req.user.twoFactor?.enabled) return;
+    const lockKey = `2fa:${req.user._id}`;
+    await assertNotLockedOut(res, lockKey);
+    const result = await verifyTwoFactorCode(req.user._id, req.body.twoFactorCode);
+    assertTwoFactorNotReplayed(res, result);
+    if (!result.valid) {
+        await recordFailedAttempt(lockKey);
+        res.status(403);
+        throw new Error('Código de autenticação de dois fatores inválido ou em falta.');
+    }
+    await clearFailedAttempts(lockKey);
+};
+
+// --- Emails ---
+// Os emails transacionais vão para uma fila em memória e são enviados fora do pedido, com novas
+// tentativas e espera exponencial: uma falha do servidor de email nunca falha o pedido à API.
+const MAIL_QUEUE = { maxAttempts: 5, retryBaseMs: 30 * 1000 };
+const mailQueue = [];
+let mailQueueRunning = false;
+
+const processMailQueue = async () => {
+    if (mailQueueRunning) return;
+    mailQueueRunning = true;
+    try {
+        const now = Date.now();
+        for (const job of mailQueue.filter(j => j.nextAttemptAt <= now)) {
+            try {
+                await transporter.sendMail(job.message);
+                mailQueue.splice(mailQueue.indexOf(job), 1);
+            } catch (error) {
+                job.attempts += 1;
+                if (job.attempts >= MAIL_QUEUE.maxAttempts) {
+                    mailQueue.splice(mailQueue.indexOf(job), 1);
+                    console.error(`Email "${job.message.subject}" para ${job.message.to} descartado após ${job.attempts} tentativas:`, error.message);
+                } else {
+                    job.nextAttemptAt = Date.now() + MAIL_QUEUE.retryBaseMs * 2 ** (job.attempts - 1);
+                }
+            }
+        }
+    } finally {
+        mailQueueRunning = false;
+    }
+};
+
+// Põe na fila o email `template` para o utilizador (documento ou id), no idioma preferido dele
+const queueUserEmail = async (user, template, vars = {}) => {
+    try {
+        const recipient = user.email ? user : await User.findById(user).select('email username locale role');
+        if (!recipient || recipient.role === 'bot') return;
+        const { subject, html, text } = renderEmail(template, recipient.locale, { username: recipient.username, ...vars });
+        mailQueue.push({
+            message: { from: process.env.EMAIL_FROM, to: recipient.email, subject, html, text },
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+        });
+        setImmediate(processMailQueue);
+    } catch (error) {
+        console.error(`Erro ao preparar o email ${template}:`, error.message);
+    }
+};
+
+// --- Tentativas de autenticação ---
+// Os bloqueios usam a chave pedida (email normalizado, id do utilizador), exista ou não a conta,
+// para que a resposta nunca revele se um email está registado.
+const PASSWORD_RESET = { codeTtlMinutes: 15, maxAttempts: 5 };
+// Hash de uma senha qualquer, comparado quando o email não existe para igualar o tempo de resposta
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const assertNotLockedOut = async (res, key) => {
+    const seconds = await getLockoutSeconds(key);
+    if (seconds > 0) {
+        res.status(429);
+        res.set('Retry-After', String(seconds));
+        throw new Error(`Demasiadas tentativas falhadas. Tente novamente dentro de ${seconds} segundos.`);
+    }
+};
+
+// --- Verificação de email ---
+// Códigos de 6 dígitos guardados em hash, com validade, limite de tentativas e intervalo mínimo entre envios
+const EMAIL_VERIFICATION = { codeTtlMinutes: 30, resendCooldownSeconds: 60, maxAttempts: 5 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Os emails novos são guardados normalizados; a colação sem distinção de maiúsculas encontra também
+// as contas antigas registadas com maiúsculas
+const EMAIL_COLLATION = { locale: 'en', strength: 2 };
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const generateEmailCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Segundos que faltam para poder enviar outro código (0 se já pode)
+const getResendWait = (sentAt) => sentAt
+    ? Math.max(0, Math.ceil((sentAt.getTime() + EMAIL_VERIFICATION.resendCooldownSeconds * 1000 - Date.now()) / 1000))
+    : 0;
+
+// Gera um código novo (o anterior deixa de valer) e envia-o para o email da conta
+const issueEmailVerification = async (user) => {
+    const code = generateEmailCode();
+    await User.updateOne({ _id: user._id }, {
+        emailVerification: {
+            codeHash: hashToken(code),
+            expiresAt: new Date(Date.now() + EMAIL_VERIFICATION.codeTtlMinutes * 60 * 1000),
+            sentAt: new Date(),
+            attempts: 0,
+        },
+    });
+    const link = process.env.CLIENT_URL
+        ? `${process.env.CLIENT_URL}/verify-email?email=${encodeURIComponent(user.email)}&code=${code}`
+        : undefined;
+    queueUserEmail(user, 'email_verification', { code, minutes: EMAIL_VERIFICATION.codeTtlMinutes, ...(link && { link }) });
+};
+
+const assertEmailVerified = (req, res) => {
+    if (req.user.emailVerified === false) {
+        res.status(403);
+        throw new Error('Confirme o seu email antes de fazer depósitos ou levantamentos.');
+    }
+};
+
+// --- Livro-razão ---
+// Único ponto por onde passam os movimentos de saldo. `entries` são as pernas da transação
+// ({ account, user?, amount, reference? }) e têm de somar zero; as pernas da conta 'user' são aplicadas
+// a User.balance com $inc na mesma sessão, recusando débitos sem saldo suficiente.
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const postLedgerTransaction = async ({ type, entries, reference = {}, description = '', createdBy, allowOverdraft = false, session }) => {
+    const legs = entries.map(e => ({ ...e, amount: roundMoney(e.amount) })).filter(e => e.amount !== 0);
+    if (roundMoney(legs.reduce((sum, e) => sum + e.amount, 0)) !== 0) {
+        throw new Error('Transação desequilibrada no livro-razão.');
+    }
+    const transactionId = new mongoose.Types.ObjectId().toString();
+    const docs = [];
+    for (const leg of legs) {
+        let balanceAfter;
+        if (leg.account === 'user') {
+            const filter = { _id: leg.user };
+            if (leg.amount < 0 && !allowOverdraft) filter.balance = { $gte: -leg.amount };
+            const user = await User.findOneAndUpdate(filter, { $inc: { balance: leg.amount } }, { new: true, session }).select('balance');
+            if (!user) throw new Error('Saldo insuficiente.');
+            balanceAfter = user.balance;
+        }
+        docs.push({
+            transactionId, type, account: leg.account, user: leg.user || null, amount: leg.amount,
+            balanceAfter, reference: leg.reference || reference, description, createdBy
+        });
+    }
+    await LedgerEntry.insertMany(docs, { session });
+    return transactionId;
+};
+
+// Transfere `amount` do saldo do utilizador para a conta de custódia das apostas
+const escrowStake = (userId, amount, reference, session, description = 'Aposta em custódia') => postLedgerTransaction({
+    type: 'stake_escrow',
+    entries: [{ account: 'user', user: userId, amount: -amount }, { account: 'escrow', amount }],
+    reference, description, session
+});
+
+// Passa uma aposta em custódia de uma referência para outra (as pernas levam a própria referência)
+const transferEscrow = (amount, fromReference, toReference, session, description = 'Transferência de custódia') => postLedgerTransaction({
+    type: 'escrow_transfer',
+    entries: [{ account: 'escrow', amount: -amount, reference: fromReference }, { account: 'escrow', amount, reference: toReference }],
+    description, session
+});
+
+// Devolve da custódia para o utilizador uma aposta que não chegou a ser jogada
+const refundStake = (userId, amount, reference, session, description = 'Devolução de aposta') => postLedgerTransaction({
+    type: 'stake_refund',
+    entries: [{ account: 'escrow', amount: -amount }, { account: 'user', user: userId, amount }],
+    reference, description, session
+});
+
+// --- Notificações ---
+// Grava a notificação e envia-a para a sala pessoal do utilizador. Nunca lança: uma falha na
+// notificação não deve desfazer a operação que a originou.
+const notifyUser = async (io, userId, { type, title, message = '', data = {} }) => {
+    try {
+        const notification = await Notification.create({ user: userId, type, title, message, data });
+        if (io) io.to(userId.toString()).emit('notification', notification);
+        return notification;
+    } catch (error) {
+        console.error("Erro ao criar notificação:", error.message);
+        return null;
+    }
+};
+
+// --- Rating Glicko-2 ---
+// Cada partida é tratada como um período de rating com um único resultado. O desvio cresce
+// com a inatividade (um período por semana sem jogar) e volta a encolher à medida que se joga.
+const GLICKO = {
+    rating: 1500,
+    deviation: 350,
+    volatility: 0.06,
+    tau: 0.5,
+    scale: 173.7178,
+    provisionalDeviation: 110,
+    inactivityPeriodDays: 7,
+};
+
+const isProvisionalRating = (rating) => rating.deviation > GLICKO.provisionalDeviation;
+
+// Desvio inflacionado pelos períodos sem jogar desde a última partida avaliada
+const getCurrentDeviation = (rating, now = Date.now()) => {
+    if (!rating.lastRatedAt) return rating.deviation;
+    const periods = (now - rating.lastRatedAt.getTime()) / (GLICKO.inactivityPeriodDays * 24 * 60 * 60 * 1000);
+    const phi = rating.deviation / GLICKO.scale;
+    const inflated = Math.sqrt(phi * phi + periods * rating.volatility * rating.volatility) * GLICKO.scale;
+    return Math.min(inflated, GLICKO.deviation);
+};
+
+// Novo rating de `player` após um resultado (`score`: 1 vitória, 0.5 empate, 0 derrota) contra `opponent`
+function glicko2Update(player, opponent, score) {
+    const { scale, tau } = GLICKO;
+    const mu = (player.value - GLICKO.rating) / scale;
+    const phi = player.deviation / scale;
+    const sigma = player.volatility;
+    const muJ = (opponent.value - GLICKO.rating) / scale;
+    const phiJ = opponent.deviation / scale;
+
+    const g = 1 / Math.sqrt(1 + 3 * phiJ * phiJ / (Math.PI * Math.PI));
+    const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+    const v = 1 / (g * g * expected * (1 - expected));
+    const delta = v * g * (score - expected);
+
+    // Nova volatilidade pelo método de Illinois (passo 5 do algoritmo de Glickman)
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (tau * tau);
+    };
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+    let fA = f(A), fB = f(B);
+    while (Math.abs(B - A) > 1e-6) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) { A = B; fA = fB; } else { fA = fA / 2; }
+        B = C; fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+    return {
+        value: newMu * scale + GLICKO.rating,
+        deviation: Math.min(newPhi * scale, GLICKO.deviation),
+        volatility: newSigma,
+    };
+}
+
+// Atualiza o rating dos dois jogadores (documentos User) e devolve as variações para Game.ratingChanges.
+// `winnerId` null significa empate.
+const applyRatingUpdate = (players, winnerId) => {
+    const now = Date.now();
+    const current = players.map(p => ({
+        value: p.rating.value,
+        deviation: getCurrentDeviation(p.rating, now),
+        volatility: p.rating.volatility,
+    }));
+    return players.map((player, i) => {
+        const score = !winnerId ? 0.5 : (player._id.equals(winnerId) ? 1 : 0);
+        const updated = glicko2Update(current[i], current[1 - i], score);
+        const before = Math.round(player.rating.value);
+        player.rating.value = updated.value;
+        player.rating.deviation = updated.deviation;
+        player.rating.volatility = updated.volatility;
+        player.rating.games += 1;
+        player.rating.lastRatedAt = new Date(now);
+        const after = Math.round(updated.value);
+        return { player: player._id, before, after, delta: after - before, deviation: Math.round(updated.deviation) };
     });
 };
 
+// Rating público de um utilizador (arredondado, com o desvio atual e a marca de provisório)
+const formatRating = (rating) => {
+    const deviation = getCurrentDeviation(rating);
+    return {
+        value: Math.round(rating.value),
+        deviation: Math.round(deviation),
+        games: rating.games,
+        provisional: isProvisionalRating({ deviation }),
+    };
+};
+
 // --- 4. MIDDLEWARES ---
 const protect = asyncHandler(async (req, res, next) => {
     let token;
@@ -63,7 +424,9 @@ const protect = asyncHandler(async (req, res, next) => {
         try {
             token = req.headers.authorization.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
+            const activeSession = decoded.sid && await Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } });
+            req.user = activeSession ? await User.findById(decoded.id).select('-password') : null;
+            req.sessionId = decoded.sid;
             if (!req.user || req.user.isBlocked) {
                 res.status(401);
                 throw new Error('Não autorizado, utilizador bloqueado ou token inválido.');
@@ -82,6 +445,11 @@ const protect = asyncHandler(async (req, res, next) => {
 
 const admin = (req, res, next) => {
     if (req.user && req.user.role === 'admin') {
+        // A 2FA é obrigatória para administradores
+        if (!req.user.twoFactor?.enabled) {
+            res.status(403);
+            throw new Error('Ative a autenticação de dois fatores para aceder à administração.');
+        }
         next();
     } else {
         res.status(403);
@@ -90,216 +458,520 @@ const admin = (req, res, next) => {
 };
 
 // =================================================================
-// --- 5. LÓGICA DO JOGO DE DAMAS BRASILEIRAS (BACKEND) ---
+// --- 6. HANDLERS DE SOCKET.IO E API ---
 // =================================================================
-const initializeBoard = () => {
-    const board = Array(8).fill(null).map(() => Array(8).fill(null));
-    for (let r = 0; r < 3; r++) { for (let c = 0; c < 8; c++) { if ((r + c) % 2 !== 0) board[r][c] = 'b'; } }
-    for (let r = 5; r < 8; r++) { for (let c = 0; c < 8; c++) { if ((r + c) % 2 !== 0) board[r][c] = 'w'; } }
-    return board;
-};
-const isValidSquare = (r, c) => r >= 0 && r < 8 && c >= 0 && c < 8;
-
-function findAllPossibleMoves(board, playerColor) {
-    let allCaptures = [];
-    for (let r = 0; r < 8; r++) { for (let c = 0; c < 8; c++) {
-        const piece = board[r][c];
-        if (piece && piece.toLowerCase().startsWith(playerColor[0])) {
-            const sequences = findCaptureSequencesForPiece(board, r, c);
-            sequences.forEach(seq => allCaptures.push({ from: {row: r, col: c}, to: seq.path[seq.path.length-1], path: seq.path, captures: seq.captures }));
-        }
-    }}
-    if (allCaptures.length > 0) {
-        const max = Math.max(...allCaptures.map(m => m.captures.length));
-        return allCaptures.filter(m => m.captures.length === max);
-    }
-    let simpleMoves = [];
-    for (let r = 0; r < 8; r++) { for (let c = 0; c < 8; c++) {
-        const piece = board[r][c];
-        if (piece && piece.toLowerCase().startsWith(playerColor[0])) {
-            simpleMoves.push(...findSimpleMovesForPiece(board, r, c));
-        }
-    }}
-    return simpleMoves;
-}
 
-function findCaptureSequencesForPiece(board, r, c, path = [], captures = []) {
-    const piece = board[r][c]; if (!piece) return [];
-    let finalSequences = [];
-    const playerColor = piece.toLowerCase().startsWith('w') ? 'white' : 'black';
-    const opponentColor = playerColor === 'white' ? 'black' : 'white';
-    const isKing = piece !== piece.toLowerCase();
-
-    for (const [dr, dc] of [[-1,-1], [-1,1], [1,-1], [1,1]]) {
-        if (isKing) {
-            for (let i = 1; i < 8; i++) {
-                const opponentR = r + dr * i, opponentC = c + dc * i;
-                if (!isValidSquare(opponentR, opponentC)) break;
-                const midPiece = board[opponentR][opponentC];
-                if (midPiece) {
-                    if (midPiece.toLowerCase().startsWith(opponentColor[0]) && !captures.some(cap => cap.row === opponentR && cap.col === opponentC)) {
-                        for (let j = 1; j < 8; j++) {
-                            const landR = opponentR + dr * j, landC = opponentC + dc * j;
-                            if (!isValidSquare(landR, landC) || board[landR][landC]) break;
-                            const newBoard = JSON.parse(JSON.stringify(board));
-                            newBoard[r][c] = null; newBoard[opponentR][opponentC] = null; newBoard[landR][landC] = piece;
-                            const newPath = [...path, { row: landR, col: landC }];
-                            const newCaptures = [...captures, { row: opponentR, col: opponentC }];
-                            const deeperSequences = findCaptureSequencesForPiece(newBoard, landR, landC, newPath, newCaptures);
-                            if(deeperSequences.length > 0) finalSequences.push(...deeperSequences); else finalSequences.push({ path: newPath, captures: newCaptures });
-                        }
-                    }
-                    break;
-                }
-            }
-        } else { // Lógica do Peão
-            const opponentR = r + dr, opponentC = c + dc;
-            const landR = r + dr * 2, landC = c + dc * 2;
-            if (isValidSquare(landR, landC) && !board[landR][landC]) {
-                const midPiece = board[opponentR][opponentC];
-                if (midPiece && midPiece.toLowerCase().startsWith(opponentColor[0])) {
-                    const newBoard = JSON.parse(JSON.stringify(board));
-                    newBoard[r][c] = null; newBoard[opponentR][opponentC] = null; newBoard[landR][landC] = piece;
-                    const newPath = [...path, { row: landR, col: landC }];
-                    const newCaptures = [...captures, { row: opponentR, col: opponentC }];
-                    const deeperSequences = findCaptureSequencesForPiece(newBoard, landR, landC, newPath, newCaptures);
-                    if(deeperSequences.length > 0) finalSequences.push(...deeperSequences); else finalSequences.push({ path: newPath, captures: newCaptures });
-                }
-            }
-        }
+// --- Relógio do jogo ---
+// Um temporizador por jogo em andamento dispara quando o tempo do jogador da vez acaba,
+// mesmo que nenhum dos clientes esteja conectado.
+const gameClockTimers = new Map();
+
+const getPlayerColor = (game, userId) => game.player1.id.equals(userId) ? 'white' : 'black';
+
+// Estado do relógio com o tempo do jogador da vez já descontado até `now`
+const getClockState = (game, now = Date.now()) => {
+    if (!game.timeControl || !game.timeControl.initial) return null;
+    const turn = getPlayerColor(game, game.currentPlayer);
+    const running = game.status === 'ongoing' && !!game.clock.lastMoveAt;
+    const clock = { white: game.clock.white, black: game.clock.black, turn, running };
+    if (running) {
+        clock[turn] = Math.max(0, clock[turn] - (now - game.clock.lastMoveAt.getTime()));
     }
-    return finalSequences;
-}
+    return clock;
+};
 
-function findSimpleMovesForPiece(board, r, c) {
-    const piece = board[r][c]; const moves = [];
-    const playerColor = piece.toLowerCase().startsWith('w') ? 'white' : 'black';
-    const isKing = piece !== piece.toLowerCase();
-    if (isKing) {
-        for (const [dr, dc] of [[-1,-1], [-1,1], [1,-1], [1,1]]) {
-            for (let i = 1; i < 8; i++) {
-                const newR = r + dr * i, newC = c + dc * i;
-                if (!isValidSquare(newR, newC) || board[newR][newC]) break;
-                moves.push({ from: {row: r, col: c}, to: {row: newR, col: newC}, path: [{row: newR, col: newC}], captures: [] });
-            }
-        }
-    } else {
-        const forwardDir = playerColor === 'white' ? -1 : 1;
-        for (const dc of [-1, 1]) {
-            const newR = r + forwardDir, newC = c + dc;
-            if (isValidSquare(newR, newC) && !board[newR][newC]) {
-                moves.push({ from: {row: r, col: c}, to: {row: newR, col: newC}, path: [{row: newR, col: newC}], captures: [] });
-            }
-        }
+const clearGameClock = (gameId) => {
+    const timer = gameClockTimers.get(gameId.toString());
+    if (timer) {
+        clearTimeout(timer);
+        gameClockTimers.delete(gameId.toString());
     }
-    return moves;
-}
+};
 
-// =================================================================
-// --- 6. HANDLERS DE SOCKET.IO E API ---
-// =================================================================
+const scheduleGameClock = (io, game) => {
+    clearGameClock(game._id);
+    const clock = getClockState(game);
+    if (!clock || !clock.running) return;
+    const timer = setTimeout(() => handleClockExpiry(io, game._id.toString()), clock[clock.turn] + 50);
+    gameClockTimers.set(game._id.toString(), timer);
+};
 
-const handlePlayerMove = async (io, socket, data) => {
-    const { gameId, move } = data;
-    const userId = socket.userId;
+const handleClockExpiry = async (io, gameId) => {
+    gameClockTimers.delete(gameId);
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'ongoing') return;
+        const clock = getClockState(game);
+        if (!clock) return;
+        // Um lance chegou entretanto: reagenda para o novo jogador da vez
+        if (clock[clock.turn] > 0) return scheduleGameClock(io, game);
+        const loserId = game.currentPlayer;
+        const winnerId = game.players.find(p => !p.equals(loserId));
+        await finishGame(io, game, winnerId, loserId, 'timeout');
+    } catch (error) {
+        console.error("Erro no relógio do jogo:", error.message);
+    }
+};
+
+// Reagenda os relógios dos jogos em andamento após um reinício do servidor
+const restoreGameClocks = async (io) => {
+    const games = await Game.find({ status: 'ongoing', 'timeControl.initial': { $gt: 0 } });
+    games.forEach(game => scheduleGameClock(io, game));
+    if (games.length > 0) console.log(`⏱️ Relógios restaurados para ${games.length} jogo(s) em andamento.`);
+};
+
+// --- Espectadores ---
+// Os espectadores ficam numa sala separada da sala dos jogadores e só recebem eventos de leitura.
+const spectatorRoom = (gameId) => `${gameId}:spectators`;
+
+const getSpectatorCount = (io, gameId) => io.sockets.adapter.rooms.get(spectatorRoom(gameId))?.size || 0;
+
+const emitSpectatorCount = (io, gameId) => {
+    const count = getSpectatorCount(io, gameId);
+    io.to(gameId).to(spectatorRoom(gameId)).emit('spectatorCount', { gameId, count });
+};
+
+// Envia o evento aos jogadores de imediato e aos espectadores com o atraso configurado
+const emitGameEvent = async (io, gameId, event, payload) => {
+    io.to(gameId).emit(event, payload);
+    try {
+        const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).select('spectatorDelaySeconds');
+        const delay = (settings?.spectatorDelaySeconds || 0) * 1000;
+        if (delay > 0) setTimeout(() => io.to(spectatorRoom(gameId)).emit(event, payload), delay);
+        else io.to(spectatorRoom(gameId)).emit(event, payload);
+    } catch (error) {
+        console.error("Erro ao enviar evento aos espectadores:", error.message);
+    }
+};
+
+const handleSpectateGame = async (io, socket, data) => {
+    const { gameId } = data;
+    try {
+        const game = await Game.findById(gameId)
+            .populate('player1.id', 'username avatar')
+            .populate('player2.id', 'username avatar');
+        if (!game || game.status !== 'ongoing') throw new Error("Jogo não encontrado ou não está a decorrer.");
+        if (game.players.some(p => p.equals(socket.userId))) throw new Error("Os jogadores não podem assistir ao próprio jogo.");
+
+        if (socket.spectatingGameId && socket.spectatingGameId !== gameId) handleLeaveSpectating(io, socket);
+        socket.join(spectatorRoom(gameId));
+        socket.spectatingGameId = gameId;
+
+        // Com atraso configurado, o estado inicial também chega atrasado para manter a ordem dos lances
+        const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).select('spectatorDelaySeconds');
+        const delay = (settings?.spectatorDelaySeconds || 0) * 1000;
+        const state = { ...getGameState(game), spectatorDelaySeconds: delay / 1000 };
+        if (delay > 0) setTimeout(() => socket.emit('spectateState', state), delay);
+        else socket.emit('spectateState', state);
+
+        emitSpectatorCount(io, gameId);
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
+
+// Também chamado na desconexão (o socket já saiu das salas, só falta atualizar a contagem)
+const handleLeaveSpectating = (io, socket) => {
+    const gameId = socket.spectatingGameId;
+    if (!gameId) return;
+    socket.leave(spectatorRoom(gameId));
+    socket.spectatingGameId = null;
+    emitSpectatorCount(io, gameId);
+};
+
+// --- Desconexão e abandono ---
+// Temporizadores por `${gameId}:${userId}` para jogadores desconectados de jogos em andamento
+const abandonmentTimers = new Map();
+
+// Estado completo enviado a quem (re)entra na sala do jogo
+const getGameState = (game) => ({
+    gameId: game._id,
+    status: game.status,
+    variant: getVariant(game.variant).id,
+    boardState: game.boardState,
+    currentPlayer: game.currentPlayer,
+    player1: game.player1,
+    player2: game.player2,
+    moves: game.moves,
+    clock: getClockState(game),
+    drawOfferedBy: game.drawOfferedBy,
+    isPractice: game.isPractice,
+    botLevel: game.botLevel,
+});
+
+// True se algum socket do utilizador (por exemplo, noutro separador) continua na sala do jogo
+const isUserInGameRoom = (io, gameId, userId) => {
+    const socketIds = io.sockets.adapter.rooms.get(gameId.toString());
+    if (!socketIds) return false;
+    for (const socketId of socketIds) {
+        if (io.sockets.sockets.get(socketId)?.userId === userId.toString()) return true;
+    }
+    return false;
+};
+
+const getReconnectionWindowSeconds = async () => {
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+    return settings?.reconnectionWindowSeconds ?? 60;
+};
+
+const scheduleAbandonment = (io, gameId, userId, seconds) => {
+    const key = `${gameId}:${userId}`;
+    clearTimeout(abandonmentTimers.get(key));
+    abandonmentTimers.set(key, setTimeout(() => handleAbandonment(io, gameId, userId), seconds * 1000));
+};
 
+const handlePlayerDisconnect = async (io, gameId, userId) => {
     try {
         const game = await Game.findById(gameId);
-        if (!game || game.status !== 'ongoing') throw new Error("Jogo não encontrado ou finalizado.");
-        if (game.currentPlayer.toString() !== userId) throw new Error("Não é a sua vez de jogar.");
+        if (!game || game.status !== 'ongoing') return;
+        const seconds = await getReconnectionWindowSeconds();
+        scheduleAbandonment(io, gameId, userId, seconds);
 
-        const board = JSON.parse(game.boardState);
-        const playerColor = game.player1.id.equals(userId) ? 'white' : 'black';
-        
-        const possibleMoves = findAllPossibleMoves(board, playerColor);
-        const receivedMove = possibleMoves.find(
-            m => m.from.row === move.from.row && m.from.col === move.from.col && m.to.row === move.to.row && m.to.col === move.to.col
-        );
+        io.to(gameId).emit('opponentDisconnected', {
+            userId,
+            secondsRemaining: seconds,
+            deadline: new Date(Date.now() + seconds * 1000)
+        });
+    } catch (error) {
+        console.error("Erro ao tratar desconexão:", error.message);
+    }
+};
 
-        if (!receivedMove) throw new Error("Movimento inválido.");
-        
-        const piece = board[receivedMove.from.row][receivedMove.from.col];
-        board[receivedMove.from.row][receivedMove.from.col] = null;
-        receivedMove.captures.forEach(cap => board[cap.row][cap.col] = null);
-        
-        let promoted = false;
-        if ((playerColor === 'white' && receivedMove.to.row === 0) || (playerColor === 'black' && receivedMove.to.row === 7)) {
-            if (piece === piece.toLowerCase()) {
-                promoted = true;
-                board[receivedMove.to.row][receivedMove.to.col] = piece.toUpperCase();
-            } else {
-                 board[receivedMove.to.row][receivedMove.to.col] = piece;
-            }
-        } else {
-            board[receivedMove.to.row][receivedMove.to.col] = piece;
+const handleAbandonment = async (io, gameId, userId) => {
+    abandonmentTimers.delete(`${gameId}:${userId}`);
+    // Voltou à sala por outro caminho entretanto
+    if (isUserInGameRoom(io, gameId, userId)) return;
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'ongoing') return;
+        const winnerId = game.players.find(p => !p.equals(userId));
+        await finishGame(io, game, winnerId, userId, 'abandonment');
+    } catch (error) {
+        console.error("Erro ao finalizar jogo por abandono:", error.message);
+    }
+};
+
+// Após um reinício nenhum jogador está ligado: cada um recebe de novo a janela de reconexão e perde
+// por abandono se não voltar à sala a tempo (o bot das partidas de treino nunca entra na sala)
+const restoreAbandonmentTimers = async (io) => {
+    const games = await Game.find({ status: 'ongoing' }).select('_id players');
+    if (games.length === 0) return;
+    const seconds = await getReconnectionWindowSeconds();
+    const botId = await getBotUserId();
+    for (const game of games) {
+        for (const playerId of game.players) {
+            if (playerId.equals(botId) || isUserInGameRoom(io, game.id, playerId)) continue;
+            scheduleAbandonment(io, game.id, playerId.toString(), seconds);
+        }
+    }
+    console.log(`⏳ Janelas de reconexão reabertas para ${games.length} jogo(s) em andamento.`);
+};
+
+// Chamado quando um jogador entra na sala; cancela a contagem de abandono se existir
+const handlePlayerReconnect = (io, socket, game) => {
+    const key = `${game.id}:${socket.userId}`;
+    if (abandonmentTimers.has(key)) {
+        clearTimeout(abandonmentTimers.get(key));
+        abandonmentTimers.delete(key);
+        socket.to(game.id).emit('opponentReconnected', { userId: socket.userId });
+    }
+    if (game.status === 'ongoing') {
+        socket.emit('gameState', getGameState(game));
+        socket.emit('spectatorCount', { gameId: game.id, count: getSpectatorCount(io, game.id) });
+    }
+};
+
+const handlePlayersReady = async (io, socket, data) => {
+    const { gameId } = data;
+    try {
+        // Nos torneios o jogo só começa com os dois jogadores na sala; se um faltar, a ronda
+        // resolve-o pela regra de falta de comparência (resolveTournamentNoShow)
+        const pending = await Game.findById(gameId).select('players status tournament');
+        if (pending?.tournament && pending.status === 'waiting_players'
+            && !pending.players.every(playerId => isUserInGameRoom(io, gameId, playerId))) {
+            return socket.emit('waitingForOpponent', { gameId });
         }
+        // Só o primeiro `playersReady` inicia o jogo e o relógio
+        let game = await Game.findOneAndUpdate(
+            { _id: gameId, status: 'waiting_players', players: socket.userId },
+            { status: 'ongoing', 'clock.lastMoveAt': new Date() },
+            { new: true }
+        );
+        if (game) {
+            scheduleGameClock(io, game);
+            scheduleBotMove(io, game);
+            game.players.forEach(playerId => emitPresence(io, playerId));
+        } else game = await Game.findById(gameId);
+        io.to(gameId).emit('startGame', { clock: game ? getClockState(game) : null });
+    } catch (error) {
+        console.error("Erro ao iniciar jogo:", error.message);
+        socket.emit('gameError', { message: 'Erro ao iniciar o jogo.' });
+    }
+};
+
+const handlePlayerMove = async (io, socket, data) => {
+    const { gameId, move } = data;
+    try {
+        await playMove(io, gameId, socket.userId, move);
+    } catch (error) {
+        console.error("Erro na jogada:", error.message);
+        socket.emit('gameError', { message: error.message });
+    }
+};
+
+// Valida e aplica o lance de `userId` (jogador humano ou bot). Lança erro se o lance for recusado.
+const playMove = async (io, gameId, userId, move) => {
+    const game = await Game.findById(gameId);
+    if (!game || game.status !== 'ongoing') throw new Error("Jogo não encontrado ou finalizado.");
+    if (game.currentPlayer.toString() !== userId) throw new Error("Não é a sua vez de jogar.");
+
+    const opponentId = game.players.find(p => !p.equals(userId));
+    const now = Date.now();
+    const clock = getClockState(game, now);
+    if (clock && clock[clock.turn] <= 0) {
+        await finishGame(io, game, opponentId, userId, 'timeout');
+        return;
+    }
+
+    const board = JSON.parse(game.boardState);
+    const playerColor = getPlayerColor(game, userId);
+    const variant = getVariant(game.variant);
+    
+    const possibleMoves = findAllPossibleMoves(board, playerColor, variant);
+    const { move: receivedMove, error: moveError } = resolveRequestedMove(possibleMoves, move);
+
+    if (moveError === 'ambiguous') throw new Error("Movimento ambíguo: indique o caminho (path) ou as peças capturadas.");
+    if (!receivedMove) throw new Error("Movimento inválido.");
+
+    const { piece, promoted } = applyMove(board, receivedMove, playerColor);
+
+    game.boardState = JSON.stringify(board);
+    game.moves.push({ player: userId, from: receivedMove.from, to: receivedMove.to, path: receivedMove.path, capturedPieces: receivedMove.captures });
+    game.currentPlayer = opponentId;
+    if (clock) {
+        game.clock[playerColor] = clock[playerColor] + game.timeControl.increment * 1000;
+        game.clock.lastMoveAt = new Date(now);
+    }
+    // Um lance responde implicitamente a uma proposta de empate do adversário
+    if (game.drawOfferedBy && !game.drawOfferedBy.equals(userId)) game.drawOfferedBy = null;
+
+    const opponentColor = oppositeColor(playerColor);
+    const opponentCanMove = hasLegalMove(board, opponentColor, variant);
+    const opponentPieceCount = board.flat().filter(p => p && p.toLowerCase().startsWith(opponentColor[0])).length;
+    const drawReason = updateDrawCounters(game, board, receivedMove, piece, promoted, opponentColor, variant);
+
+    if (!opponentCanMove || opponentPieceCount === 0) {
+        await finishGame(io, game, userId, opponentId, !opponentCanMove ? 'checkmate' : 'no_pieces');
+    } else if (drawReason) {
+        await finishGame(io, game, null, null, 'draw', drawReason);
+    } else {
+        await game.save();
+        scheduleGameClock(io, game);
+        emitGameEvent(io, gameId, 'moveMade', {
+            boardState: game.boardState,
+            lastMove: receivedMove,
+            currentPlayer: game.currentPlayer,
+            clock: getClockState(game, now)
+        });
+        scheduleBotMove(io, game);
+    }
+};
+
+// Atualiza os contadores de empate automático após um lance e devolve o motivo do empate, se houver
+const updateDrawCounters = (game, board, move, piece, promoted, colorToMove, variant) => {
+    const rules = variant.drawRules;
+    const isCapture = move.captures.length > 0;
+    const isKingMove = piece !== piece.toLowerCase();
+
+    // Capturas e lances de pedra são irreversíveis: as posições anteriores não podem repetir-se
+    if (isCapture || !isKingMove) game.positionCounts = new Map();
+    const key = getPositionKey(board, colorToMove);
+    const repetitions = (game.positionCounts.get(key) || 0) + 1;
+    game.positionCounts.set(key, repetitions);
+
+    game.kingMovesWithoutCapture = (isKingMove && !isCapture) ? game.kingMovesWithoutCapture + 1 : 0;
+
+    const endgameLimit = getEndgameDrawLimit(board, variant);
+    game.endgamePlies = (endgameLimit && !isCapture && !promoted) ? game.endgamePlies + 1 : 0;
 
-        game.boardState = JSON.stringify(board);
-        game.moves.push({ player: userId, from: receivedMove.from, to: receivedMove.to, capturedPieces: receivedMove.captures });
-        const opponentId = game.players.find(p => !p.equals(userId));
-        game.currentPlayer = opponentId;
+    if (repetitions >= rules.repetitions) return 'repetition';
+    if (game.kingMovesWithoutCapture >= rules.kingMovesPlies) return 'king_moves';
+    if (endgameLimit && game.endgamePlies >= endgameLimit) return 'endgame';
+    return null;
+};
 
-        const opponentColor = playerColor === 'white' ? 'black' : 'white';
-        const opponentMoves = findAllPossibleMoves(board, opponentColor);
-        const opponentPieceCount = board.flat().filter(p => p && p.toLowerCase().startsWith(opponentColor[0])).length;
+const handleDrawOffer = async (io, socket, data) => {
+    const { gameId } = data;
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'ongoing') throw new Error("Jogo não encontrado ou finalizado.");
+        if (!game.players.some(p => p.equals(socket.userId))) throw new Error("Não autorizado neste jogo.");
+        if (game.drawOfferedBy) throw new Error("Já existe uma proposta de empate pendente.");
+        // O bot recusa sempre: nas partidas de treino o jogo continua até ao fim
+        if (game.isPractice) return socket.emit('drawDeclined', { by: game.players.find(p => !p.equals(socket.userId)) });
+        game.drawOfferedBy = socket.userId;
+        await game.save();
+        io.to(gameId).emit('drawOffered', { by: socket.userId });
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
 
-        if (opponentMoves.length === 0 || opponentPieceCount === 0) {
-            await finishGame(io, game, userId, opponentId, opponentMoves.length === 0 ? 'checkmate' : 'no_pieces');
+const handleDrawResponse = async (io, socket, data) => {
+    const { gameId, accept } = data;
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'ongoing') throw new Error("Jogo não encontrado ou finalizado.");
+        if (!game.players.some(p => p.equals(socket.userId))) throw new Error("Não autorizado neste jogo.");
+        if (!game.drawOfferedBy || game.drawOfferedBy.equals(socket.userId)) throw new Error("Não há proposta de empate para responder.");
+        if (accept) {
+            await finishGame(io, game, null, null, 'draw', 'agreement');
         } else {
+            game.drawOfferedBy = null;
             await game.save();
-            io.to(gameId).emit('moveMade', {
-                boardState: game.boardState,
-                lastMove: receivedMove,
-                currentPlayer: game.currentPlayer
-            });
+            io.to(gameId).emit('drawDeclined', { by: socket.userId });
         }
     } catch (error) {
-        console.error("Erro na jogada:", error.message);
         socket.emit('gameError', { message: error.message });
     }
 };
 
-const finishGame = async (io, game, winnerId, loserId, reason) => {
+// Finaliza o jogo e liquida as apostas. Em empate (`reason === 'draw'`) winnerId/loserId são null
+// e cada jogador recebe a sua aposta de volta menos a sua parte da taxa da plataforma.
+const finishGame = async (io, game, winnerId, loserId, reason, drawReason = null) => {
     if (game.status === 'finished') return;
+    clearGameClock(game._id);
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
+        // Garante que só um caminho (lance, relógio, desistência) finaliza o jogo
+        const claimed = await Game.updateOne(
+            { _id: game._id, status: { $ne: 'finished' } },
+            { status: 'finished' },
+            { session }
+        );
+        if (claimed.modifiedCount === 0) {
+            await session.abortTransaction();
+            session.endSession();
+            return;
+        }
+
         const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).session(session);
-        const feePercentage = (settings?.platformFeePercentage || 10) / 100;
+        const feePercentage = (settings?.platformFeePercentage ?? 10) / 100;
         
         const totalPot = game.betAmount * 2;
-        const platformFee = totalPot * feePercentage;
-        const prize = totalPot - platformFee;
+        const isDraw = reason === 'draw';
+        // Em empate cada jogador recebe metade do prémio; a taxa absorve o arredondamento
+        const drawRefund = roundMoney((totalPot - totalPot * feePercentage) / 2);
+        const platformFee = isDraw ? roundMoney(totalPot - drawRefund * 2) : roundMoney(totalPot * feePercentage);
+        const prize = roundMoney(totalPot - platformFee);
+        const gameRef = { kind: 'Game', id: game._id };
 
         game.status = 'finished';
         game.winner = winnerId;
         game.loser = loserId;
         game.endReason = reason;
+        game.drawReason = isDraw ? drawReason : null;
+        game.drawOfferedBy = null;
         game.platformFee = platformFee;
+        game.endedAt = new Date();
 
-        const winner = await User.findById(winnerId).session(session);
-        winner.balance += prize;
-        winner.stats.wins += 1;
-        winner.stats.totalWinnings += (prize - game.betAmount);
+        // As partidas de treino contra o bot não mexem em saldos, estatísticas nem rating.
+        // As de torneio contam para o rating, mas o prémio é pago no fim do torneio.
+        if (!game.isPractice) {
+            if (!game.tournament) {
+                if (isDraw) {
+                    await postLedgerTransaction({
+                        type: 'draw_refund',
+                        entries: [
+                            { account: 'escrow', amount: -totalPot },
+                            ...game.players.map(playerId => ({ account: 'user', user: playerId, amount: drawRefund })),
+                            { account: 'platform_revenue', amount: platformFee }
+                        ],
+                        reference: gameRef, description: 'Empate: devolução das apostas menos a taxa', session
+                    });
+                } else {
+                    await postLedgerTransaction({
+                        type: 'prize',
+                        entries: [
+                            { account: 'escrow', amount: -totalPot },
+                            { account: 'user', user: winnerId, amount: prize },
+                            { account: 'platform_revenue', amount: platformFee }
+                        ],
+                        reference: gameRef, description: 'Prémio da partida', session
+                    });
+                }
+            }
 
-        const loser = await User.findById(loserId).session(session);
-        loser.stats.losses += 1;
-        
+            // Carregados depois do livro-razão para não sobrescrever o saldo já atualizado
+            const players = [];
+            for (const playerId of game.players) players.push(await User.findById(playerId).session(session));
+            for (const player of players) {
+                if (isDraw) {
+                    player.stats.draws += 1;
+                } else if (player._id.equals(winnerId)) {
+                    player.stats.wins += 1;
+                    player.stats.totalWinnings += (prize - game.betAmount);
+                } else {
+                    player.stats.losses += 1;
+                }
+            }
+            game.ratingChanges = applyRatingUpdate(players, isDraw ? null : winnerId);
+
+            for (const player of players) await player.save({ session });
+        }
         await game.save({ session });
-        await winner.save({ session });
-        await loser.save({ session });
         
         await session.commitTransaction();
         session.endSession();
+        game.players.forEach(playerId => emitPresence(io, playerId));
+        if (!game.isPractice) {
+            for (const playerId of game.players) {
+                const outcome = isDraw ? 'draw' : playerId.equals(winnerId) ? 'win' : 'loss';
+                const titles = { win: 'Vitória!', loss: 'Derrota', draw: 'Empate' };
+                const messages = game.tournament ? {
+                    win: 'Ganhou a partida do torneio.',
+                    loss: 'Perdeu a partida do torneio.',
+                    draw: 'A partida do torneio terminou empatada.',
+                } : {
+                    win: `Ganhou a partida e recebeu ${prize} MT.`,
+                    loss: `Perdeu a partida (aposta de ${game.betAmount} MT).`,
+                    draw: `A partida terminou empatada. Foram devolvidos ${drawRefund} MT.`,
+                };
+                notifyUser(io, playerId, {
+                    type: 'game_result', title: titles[outcome], message: messages[outcome],
+                    data: { gameId: game._id, outcome, reason },
+                });
+            }
+        }
+        if (game.tournament) {
+            recordTournamentGame(io, game).catch(error => console.error("Erro ao registar o resultado no torneio:", error.message));
+        }
 
-        const populatedGame = await Game.findById(game._id).populate('winner loser', 'username');
-        io.to(game.id).emit('gameOver', {
-            winner: populatedGame.winner.username,
-            loser: populatedGame.loser.username,
-            reason: populatedGame.endReason,
-            prize: prize,
-            platformFee: platformFee
-        });
+        if (isDraw) {
+            emitGameEvent(io, game.id, 'gameOver', {
+                winner: null,
+                loser: null,
+                reason: 'draw',
+                drawReason: drawReason,
+                refund: drawRefund,
+                platformFee: platformFee,
+                ratingChanges: game.ratingChanges
+            });
+        } else {
+            const populatedGame = await Game.findById(game._id).populate('winner loser', 'username');
+            if (!game.isPractice && !game.tournament && prize >= (settings?.largeWinEmailThreshold ?? 1000)) {
+                queueUserEmail(winnerId, 'large_win', { prize: formatAmount(prize), opponent: populatedGame.loser.username });
+            }
+            emitGameEvent(io, game.id, 'gameOver', {
+                winner: populatedGame.winner.username,
+                loser: populatedGame.loser.username,
+                reason: populatedGame.endReason,
+                prize: prize,
+                platformFee: platformFee,
+                ratingChanges: game.ratingChanges
+            });
+        }
 
     } catch (error) {
         await session.abortTransaction();
@@ -308,6 +980,21 @@ const finishGame = async (io, game, winnerId, loserId, reason) => {
     }
 };
 
+// Cria (sem gravar) um jogo novo à espera dos jogadores. player1 joga com as brancas;
+// quem começa depende da variante (nas damas inglesas começam as pretas).
+const buildNewGame = ({ whiteId, blackId, betAmount, timeControl, variant = DEFAULT_VARIANT }) => new Game({
+    players: [whiteId, blackId],
+    player1: { id: whiteId, color: 'white' },
+    player2: { id: blackId, color: 'black' },
+    variant,
+    boardState: JSON.stringify(initializeBoard(getVariant(variant))),
+    currentPlayer: getVariant(variant).firstColor === 'white' ? whiteId : blackId,
+    status: 'waiting_players',
+    betAmount,
+    timeControl: { initial: timeControl.initial, increment: timeControl.increment },
+    clock: { white: timeControl.initial * 1000, black: timeControl.initial * 1000 },
+});
+
 const handleAcceptChallenge = async (io, socket, data) => {
     const { lobbyId } = data;
     const challengerId = socket.userId;
@@ -317,24 +1004,26 @@ const handleAcceptChallenge = async (io, socket, data) => {
         const lobby = await LobbyRoom.findById(lobbyId).session(session);
         if (!lobby || lobby.status !== 'waiting') throw new Error("Aposta não disponível.");
         if (lobby.creator.equals(challengerId)) throw new Error("Não pode jogar contra si mesmo.");
+        if (lobby.gameType === 'direct') {
+            if (!lobby.invitedUser.equals(challengerId)) throw new Error("Este desafio foi enviado a outro jogador.");
+            if (lobby.expiresAt < new Date()) throw new Error("O desafio expirou.");
+        }
 
         const creator = await User.findById(lobby.creator).session(session);
         const challenger = await User.findById(challengerId).session(session);
         if (challenger.balance < lobby.betAmount) throw new Error("Saldo insuficiente.");
-        
-        challenger.balance -= lobby.betAmount;
-        await challenger.save({ session });
-
-        const newGame = new Game({
-            players: [creator._id, challenger._id],
-            player1: { id: creator._id, color: 'white' },
-            player2: { id: challenger._id, color: 'black' },
-            boardState: JSON.stringify(initializeBoard()),
-            currentPlayer: creator._id,
-            status: 'waiting_players',
+
+        const newGame = buildNewGame({
+            whiteId: creator._id,
+            blackId: challenger._id,
             betAmount: lobby.betAmount,
+            timeControl: lobby.timeControl,
+            variant: lobby.variant,
         });
         await newGame.save({ session });
+        // A aposta do criador (em custódia desde a criação da sala) passa para a referência do jogo
+        await transferEscrow(lobby.betAmount, { kind: 'LobbyRoom', id: lobby._id }, { kind: 'Game', id: newGame._id }, session, 'Aposta da sala');
+        await escrowStake(challenger._id, lobby.betAmount, { kind: 'Game', id: newGame._id }, session);
 
         lobby.status = 'playing';
         lobby.gameId = newGame._id;
@@ -343,7 +1032,7 @@ const handleAcceptChallenge = async (io, socket, data) => {
         await session.commitTransaction();
         session.endSession();
 
-        io.to('lobby_room').emit('lobby_room_removed', lobbyId);
+        if (lobby.gameType !== 'direct') io.to('lobby_room').emit('lobby_room_removed', lobbyId);
 
         // Notifica ambos os jogadores para irem para a tela de versus, usando a sala pessoal de cada um
         io.to(lobby.creator.toString()).emit('gameChallengeAccepted', { gameId: newGame._id });
@@ -357,64 +1046,1316 @@ const handleAcceptChallenge = async (io, socket, data) => {
     }
 };
 
-// --- 7. CONTROLADORES DE API REST ---
-const registerUser = asyncHandler(async (req, res) => {
-    const { username, email, password } = req.body;
-    if (!username || !email || !password) { res.status(400); throw new Error('Por favor, preencha todos os campos.'); }
-    const userExists = await User.findOne({ $or: [{ email }, { username }] });
-    if (userExists) { res.status(400); throw new Error('Utilizador com este email ou nome de utilizador já existe.'); }
-    const user = await User.create({ username, email, password });
-    if (user) {
-        res.status(201).json({
-            _id: user._id, username: user.username, email: user.email,
-            avatar: user.avatar, balance: user.balance, token: generateToken(user._id),
-        });
-    } else { res.status(400); throw new Error('Dados de utilizador inválidos.'); }
-});
-
-const loginUser = asyncHandler(async (req, res) => {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (user && (await user.matchPassword(password))) {
-        if (user.isBlocked) { res.status(403); throw new Error('Esta conta foi bloqueada.'); }
-        res.json({
-            _id: user._id, username: user.username, email: user.email,
-            role: user.role, avatar: user.avatar.url, balance: user.balance, token: generateToken(user._id),
-        });
-    } else { res.status(401); throw new Error('Email ou senha inválidos.'); }
-});
+// Recusa de um desafio direto pelo amigo convidado: a sala é cancelada e a aposta devolvida ao criador
+const handleDeclineChallenge = async (io, socket, data) => {
+    const { lobbyId } = data;
+    try {
+        const lobby = await LobbyRoom.findById(lobbyId).select('gameType invitedUser status');
+        if (!lobby || lobby.gameType !== 'direct' || !lobby.invitedUser.equals(socket.userId)) throw new Error("Desafio não encontrado.");
+        const cancelled = lobby.status === 'waiting' && await cancelWaitingLobby(lobby._id);
+        if (!cancelled) throw new Error("O desafio já não está disponível.");
+        io.to(cancelled.creator.toString()).emit('directChallengeDeclined', { lobbyId: cancelled._id, by: socket.userId, refund: cancelled.betAmount });
+        socket.emit('directChallengeRemoved', { lobbyId: cancelled._id });
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
 
-const forgotPassword = asyncHandler(async (req, res) => {
-    const { email } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) { res.status(404); throw new Error('Utilizador não encontrado.'); }
-    const resetToken = crypto.randomBytes(4).toString('hex').toUpperCase();
-    user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.resetPasswordExpires = Date.now() + 15 * 60 * 1000;
-    await user.save();
+// --- Revanche ---
+// Durante AdminSettings.rematchWindowSeconds depois do fim, qualquer jogador pode propor revanche
+// com a mesma aposta, que fica logo em custódia. Se o outro aceitar, paga a sua parte e o novo jogo
+// começa com as cores trocadas; recusa, cancelamento ou expiração devolvem a aposta a quem propôs.
+const rematchTimers = new Map();
+
+const getRematchWindowSeconds = async () => {
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+    return settings?.rematchWindowSeconds ?? 30;
+};
+
+const scheduleRematchExpiry = (io, game) => {
+    const gameId = game._id.toString();
+    clearTimeout(rematchTimers.get(gameId));
+    rematchTimers.set(gameId, setTimeout(() => expireRematchOffer(io, gameId), Math.max(0, game.rematch.expiresAt - Date.now()) + 50));
+};
+
+const clearRematchTimer = (gameId) => {
+    clearTimeout(rematchTimers.get(gameId.toString()));
+    rematchTimers.delete(gameId.toString());
+};
+
+// Fecha a proposta pendente com `status` e devolve a aposta de quem a fez.
+// Devolve o jogo atualizado, ou null se a proposta já não estava pendente.
+const closeRematchOffer = async (gameId, status, extraFilter = {}) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
     try {
-        await sendPasswordResetEmail(user.email, resetToken, user.username);
-        res.json({ message: 'Email de recuperação enviado.' });
+        const game = await Game.findOneAndUpdate(
+            { _id: gameId, 'rematch.status': 'offered', ...extraFilter },
+            { 'rematch.status': status },
+            { new: true, session }
+        );
+        if (!game) {
+            await session.abortTransaction();
+            return null;
+        }
+        await refundStake(game.rematch.offeredBy, game.betAmount, { kind: 'Game', id: game._id }, session, 'Devolução de aposta da revanche');
+        await session.commitTransaction();
+        clearRematchTimer(gameId);
+        return game;
     } catch (error) {
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpires = undefined;
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+const emitToPlayers = (io, game, event, payload) => {
+    game.players.forEach(playerId => io.to(playerId.toString()).emit(event, payload));
+};
+
+const handleOfferRematch = async (io, socket, data) => {
+    const { gameId } = data;
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'finished') throw new Error("Jogo não encontrado ou ainda a decorrer.");
+        if (!game.players.some(p => p.equals(socket.userId))) throw new Error("Não autorizado neste jogo.");
+        if (game.isPractice || game.tournament) throw new Error("Esta partida não permite revanche.");
+        // Se o adversário já propôs, propor também equivale a aceitar
+        if (game.rematch.status === 'offered' && !game.rematch.offeredBy.equals(socket.userId)) return handleAcceptRematch(io, socket, data);
+        if (game.rematch.status) throw new Error("Já houve uma proposta de revanche para esta partida.");
+        const windowSeconds = await getRematchWindowSeconds();
+        if (!game.endedAt || Date.now() - game.endedAt > windowSeconds * 1000) throw new Error("O tempo para pedir revanche terminou.");
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        let offered;
+        try {
+            offered = await Game.findOneAndUpdate(
+                { _id: game._id, 'rematch.status': null },
+                { rematch: { offeredBy: socket.userId, expiresAt: new Date(Date.now() + windowSeconds * 1000), status: 'offered', game: null } },
+                { new: true, session }
+            );
+            if (!offered) throw new Error("Já houve uma proposta de revanche para esta partida.");
+            await escrowStake(socket.userId, game.betAmount, { kind: 'Game', id: game._id }, session, 'Aposta da revanche em custódia');
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        scheduleRematchExpiry(io, offered);
+        emitToPlayers(io, offered, 'rematchOffered', {
+            gameId: offered._id, by: socket.userId, betAmount: offered.betAmount, expiresAt: offered.rematch.expiresAt,
+        });
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
+
+const handleAcceptRematch = async (io, socket, data) => {
+    const { gameId } = data;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const game = await Game.findOneAndUpdate(
+            { _id: gameId, players: socket.userId, 'rematch.status': 'offered', 'rematch.offeredBy': { $ne: socket.userId }, 'rematch.expiresAt': { $gt: new Date() } },
+            { 'rematch.status': 'accepted' },
+            { new: true, session }
+        );
+        if (!game) throw new Error("Não há proposta de revanche pendente.");
+
+        // Cores trocadas em relação à partida anterior
+        const newGame = buildNewGame({
+            whiteId: game.player2.id,
+            blackId: game.player1.id,
+            betAmount: game.betAmount,
+            timeControl: game.timeControl,
+            variant: game.variant,
+        });
+        await newGame.save({ session });
+        // A aposta de quem propôs passa para a referência do jogo novo; falta a de quem aceita
+        await transferEscrow(game.betAmount, { kind: 'Game', id: game._id }, { kind: 'Game', id: newGame._id }, session, 'Aposta da revanche');
+        await escrowStake(socket.userId, game.betAmount, { kind: 'Game', id: newGame._id }, session);
+        game.rematch.game = newGame._id;
+        await game.save({ session });
+        await session.commitTransaction();
+        clearRematchTimer(gameId);
+
+        emitToPlayers(io, game, 'rematchAccepted', { gameId: game._id, newGameId: newGame._id });
+        emitToPlayers(io, game, 'gameChallengeAccepted', { gameId: newGame._id });
+    } catch (error) {
+        await session.abortTransaction();
+        socket.emit('gameError', { message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+// Recusa pelo adversário ou cancelamento por quem propôs
+const handleDeclineRematch = async (io, socket, data) => {
+    const { gameId } = data;
+    try {
+        const game = await closeRematchOffer(gameId, 'declined', { players: socket.userId });
+        if (!game) throw new Error("Não há proposta de revanche pendente.");
+        emitToPlayers(io, game, 'rematchDeclined', { gameId: game._id, by: socket.userId, refund: game.betAmount });
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
+
+const expireRematchOffer = async (io, gameId) => {
+    rematchTimers.delete(gameId);
+    try {
+        const game = await closeRematchOffer(gameId, 'expired', { 'rematch.expiresAt': { $lte: new Date() } });
+        if (game) emitToPlayers(io, game, 'rematchExpired', { gameId: game._id, refund: game.betAmount });
+    } catch (error) {
+        console.error("Erro ao expirar a proposta de revanche:", error.message);
+    }
+};
+
+// Reagenda a expiração das propostas pendentes quando o servidor reinicia
+const restoreRematchOffers = async (io) => {
+    const games = await Game.find({ 'rematch.status': 'offered' }).select('rematch');
+    games.forEach(game => scheduleRematchExpiry(io, game));
+};
+
+// --- Matchmaking ---
+// Fila em memória (userId -> pedido). Os jogadores são emparelhados quando os intervalos de
+// aposta se sobrepõem, o controlo de tempo é compatível e a diferença de rating cabe na janela
+// de ambos; a janela alarga-se enquanto esperam.
+const matchmakingQueue = new Map();
+let matchmakingRunning = false;
+
+const MATCHMAKING = {
+    baseRatingWindow: 100,
+    ratingWindowStep: 50,
+    stepSeconds: 10,
+    maxRatingWindow: 800,
+};
+
+const getRatingWindow = (entry, now) => Math.min(
+    MATCHMAKING.maxRatingWindow,
+    MATCHMAKING.baseRatingWindow + MATCHMAKING.ratingWindowStep * Math.floor((now - entry.joinedAt) / (MATCHMAKING.stepSeconds * 1000))
+);
+
+const areMatchmakingCompatible = (a, b, now) => {
+    if (Math.max(a.minStake, b.minStake) > Math.min(a.maxStake, b.maxStake)) return false;
+    if (a.timeControl && b.timeControl && a.timeControl !== b.timeControl) return false;
+    if (a.variant !== b.variant) return false;
+    const ratingDiff = Math.abs(a.rating - b.rating);
+    return ratingDiff <= getRatingWindow(a, now) && ratingDiff <= getRatingWindow(b, now);
+};
+
+const handleJoinMatchmaking = async (io, socket, data = {}) => {
+    const { minStake, maxStake, timeControl = null, variant = DEFAULT_VARIANT } = data;
+    try {
+        const min = Number(minStake), max = Number(maxStake);
+        if (!(min > 0) || !(max >= min)) throw new Error("Intervalo de aposta inválido.");
+        if (timeControl && !TIME_CONTROL_PRESETS[timeControl]) throw new Error("Controlo de tempo inválido.");
+        if (!VARIANTS[variant]) throw new Error("Variante inválida.");
+        const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+        if (settings && min > settings.maxBet) throw new Error(`Aposta máxima é ${settings.maxBet} MT.`);
+        const user = await User.findById(socket.userId).select('balance rating');
+        if (user.balance < min) throw new Error("Saldo insuficiente.");
+
+        const entry = {
+            userId: socket.userId,
+            minStake: min,
+            maxStake: Math.min(max, user.balance, settings?.maxBet ?? max),
+            timeControl,
+            variant,
+            rating: user.rating.value,
+            joinedAt: Date.now(),
+        };
+        matchmakingQueue.set(socket.userId, entry);
+        socket.emit('matchmakingJoined', { minStake: entry.minStake, maxStake: entry.maxStake, timeControl, variant });
+    } catch (error) {
+        socket.emit('gameError', { message: error.message });
+    }
+};
+
+const handleLeaveMatchmaking = (io, socket) => {
+    if (matchmakingQueue.delete(socket.userId)) socket.emit('matchmakingLeft');
+};
+
+// Escrow das duas apostas e criação do jogo, tal como em handleAcceptChallenge.
+// Se um dos jogadores já não tiver saldo, sai da fila e o outro volta a ela.
+const createMatchmakingGame = async (io, a, b) => {
+    const betAmount = Math.max(a.minStake, b.minStake);
+    const timeControl = TIME_CONTROL_PRESETS[a.timeControl || b.timeControl || DEFAULT_TIME_CONTROL];
+    const [white, black] = Math.random() < 0.5 ? [a, b] : [b, a];
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const broke = [];
+        for (const entry of [a, b]) {
+            const user = await User.findById(entry.userId).select('balance').session(session);
+            if (!user || user.balance < betAmount) broke.push(entry);
+        }
+        if (broke.length > 0) {
+            await session.abortTransaction();
+            for (const entry of [a, b]) {
+                if (broke.includes(entry)) io.to(entry.userId).emit('gameError', { message: "Saldo insuficiente. Saiu da fila de matchmaking." });
+                else matchmakingQueue.set(entry.userId, entry);
+            }
+            return;
+        }
+
+        const newGame = buildNewGame({ whiteId: white.userId, blackId: black.userId, betAmount, timeControl, variant: a.variant });
+        await newGame.save({ session });
+        for (const entry of [a, b]) {
+            await escrowStake(entry.userId, betAmount, { kind: 'Game', id: newGame._id }, session);
+        }
+        await session.commitTransaction();
+
+        io.to(a.userId).emit('gameChallengeAccepted', { gameId: newGame._id });
+        io.to(b.userId).emit('gameChallengeAccepted', { gameId: newGame._id });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error("Erro ao criar jogo do matchmaking:", error.message);
+        for (const entry of [a, b]) io.to(entry.userId).emit('gameError', { message: 'Erro ao criar a partida. Tente novamente.' });
+    } finally {
+        session.endSession();
+    }
+};
+
+// Percorre a fila por ordem de chegada e emparelha cada jogador com o candidato compatível de rating mais próximo
+const runMatchmaking = async (io) => {
+    if (matchmakingRunning) return;
+    matchmakingRunning = true;
+    try {
+        const now = Date.now();
+        const entries = [...matchmakingQueue.values()].sort((x, y) => x.joinedAt - y.joinedAt);
+        const paired = new Set();
+        for (const a of entries) {
+            if (paired.has(a.userId)) continue;
+            let best = null;
+            for (const b of entries) {
+                if (b === a || paired.has(b.userId) || !areMatchmakingCompatible(a, b, now)) continue;
+                const diff = Math.abs(a.rating - b.rating);
+                if (!best || diff < best.diff) best = { entry: b, diff };
+            }
+            if (!best) continue;
+            // Um dos jogadores pode ter saído da fila enquanto outro par era criado
+            if (matchmakingQueue.get(a.userId) !== a || matchmakingQueue.get(best.entry.userId) !== best.entry) continue;
+            paired.add(a.userId);
+            paired.add(best.entry.userId);
+            matchmakingQueue.delete(a.userId);
+            matchmakingQueue.delete(best.entry.userId);
+            await createMatchmakingGame(io, a, best.entry);
+        }
+    } finally {
+        matchmakingRunning = false;
+    }
+};
+
+// --- Bot de treino ---
+// Uma única conta com role 'bot' joga todas as partidas de treino; o nível fica gravado no jogo.
+// Os lances do bot passam por playMove, tal como os dos jogadores.
+const BOT_USERNAME = 'BrainBot';
+const BOT_MOVE_DELAY_MS = 600;
+const botMoveTimers = new Map();
+let botUserId = null;
+
+const getBotUserId = async () => {
+    if (botUserId) return botUserId;
+    let bot = await User.findOne({ role: 'bot', username: BOT_USERNAME }).select('_id');
+    if (!bot) {
+        try {
+            bot = await User.create({
+                username: BOT_USERNAME,
+                email: 'bot@brainskill.local',
+                password: crypto.randomBytes(32).toString('hex'),
+                role: 'bot',
+            });
+        } catch (error) {
+            // Outro pedido criou a conta entretanto
+            bot = await User.findOne({ role: 'bot', username: BOT_USERNAME }).select('_id');
+            if (!bot) throw error;
+        }
+    }
+    botUserId = bot._id.toString();
+    return botUserId;
+};
+
+// Agenda o lance do bot se for a vez dele numa partida de treino em andamento
+const scheduleBotMove = (io, game) => {
+    if (!game.isPractice || game.status !== 'ongoing' || !botUserId || !game.currentPlayer.equals(botUserId)) return;
+    const gameId = game._id.toString();
+    if (botMoveTimers.has(gameId)) return;
+    botMoveTimers.set(gameId, setTimeout(() => playBotMove(io, gameId), BOT_MOVE_DELAY_MS));
+};
+
+const playBotMove = async (io, gameId) => {
+    botMoveTimers.delete(gameId);
+    try {
+        const game = await Game.findById(gameId);
+        if (!game || game.status !== 'ongoing' || !game.currentPlayer.equals(botUserId)) return;
+        const move = await runEngineTask('chooseBotMove', {
+            board: JSON.parse(game.boardState), color: getPlayerColor(game, botUserId), variant: game.variant, level: game.botLevel,
+        });
+        if (!move) return;
+        await playMove(io, gameId, botUserId, { from: move.from, to: move.to, path: move.path });
+    } catch (error) {
+        console.error("Erro no lance do bot:", error.message);
+    }
+};
+
+// Retoma as partidas de treino em que o bot estava a pensar quando o servidor reiniciou
+const restoreBotMoves = async (io) => {
+    const botId = await getBotUserId();
+    const games = await Game.find({ status: 'ongoing', isPractice: true, currentPlayer: botId });
+    games.forEach(game => scheduleBotMove(io, game));
+};
+
+// --- Amigos e presença ---
+// A presença deriva das ligações: um utilizador está online se a sua sala pessoal tiver sockets
+// e 'in_game' se, além disso, tiver um jogo em andamento.
+const getFriendIds = async (userId) => {
+    const friendships = await Friendship.find({ status: 'accepted', $or: [{ requester: userId }, { recipient: userId }] })
+        .select('requester recipient');
+    return friendships.map(f => (f.requester.equals(userId) ? f.recipient : f.requester).toString());
+};
+
+const isUserOnline = (io, userId) => (io.sockets.adapter.rooms.get(userId.toString())?.size || 0) > 0;
+
+// Devolve { userId: 'offline' | 'online' | 'in_game' } para os utilizadores pedidos
+const getPresence = async (io, userIds) => {
+    const ids = userIds.map(id => id.toString());
+    const games = await Game.find({ status: 'ongoing', players: { $in: ids } }).select('players');
+    const playing = new Set(games.flatMap(g => g.players.map(p => p.toString())));
+    const presence = {};
+    for (const id of ids) {
+        presence[id] = !isUserOnline(io, id) ? 'offline' : playing.has(id) ? 'in_game' : 'online';
+    }
+    return presence;
+};
+
+// Avisa os amigos do utilizador sobre a sua presença atual (ligação, desconexão, início e fim de jogo)
+const emitPresence = async (io, userId) => {
+    try {
+        const id = userId.toString();
+        const [presence, friendIds] = await Promise.all([getPresence(io, [id]), getFriendIds(id)]);
+        friendIds.forEach(friendId => io.to(friendId).emit('friendPresence', { userId: id, status: presence[id] }));
+    } catch (error) {
+        console.error("Erro ao enviar presença:", error.message);
+    }
+};
+
+// --- Chat ---
+// Chat da sala do jogo (só os jogadores) e do lobby ('lobby_room'). As mensagens ficam gravadas
+// em ChatMessage para o histórico e para a moderação das denúncias.
+const LOBBY_CHAT_ROOM = 'lobby_room';
+const CHAT_HISTORY_LIMIT = 50;
+const QUICK_PHRASES = {
+    good_luck: 'Boa sorte!',
+    good_game: 'Bom jogo!',
+    nice_move: 'Boa jogada!',
+    thanks: 'Obrigado!',
+    oops: 'Ups!',
+    wait: 'Um momento, por favor.',
+    rematch: 'Revanche?',
+};
+// Envios recentes por utilizador ({ timestamps, windowMs }) para o limite de mensagens
+const chatRateLimits = new Map();
+
+// Executado periodicamente: esquece os utilizadores cujos envios já saíram todos da janela
+const sweepChatRateLimits = (now = Date.now()) => {
+    for (const [userId, entry] of chatRateLimits) {
+        if (now - entry.timestamps[entry.timestamps.length - 1] >= entry.windowMs) chatRateLimits.delete(userId);
+    }
+};
+
+// Configuração do chat; sem documento de configurações aplicam-se os valores por omissão do esquema
+const getChatSettings = async () => {
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).select('chat');
+    return settings?.chat || new AdminSettings().chat;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Troca as palavras proibidas (palavras inteiras, sem distinguir maiúsculas) por asteriscos
+const applyProfanityFilter = (text, filter) => {
+    const words = (filter?.words || []).map(w => w.trim()).filter(Boolean);
+    if (!filter?.enabled || words.length === 0) return { text, filtered: false };
+    const pattern = new RegExp(`(^|[^\\p{L}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}])`, 'giu');
+    let filtered = false;
+    const result = text.replace(pattern, (match, before, word) => {
+        filtered = true;
+        return before + '*'.repeat(word.length);
+    });
+    return { text: result, filtered };
+};
+
+// Janela deslizante: devolve true (e não regista o envio) se o utilizador excedeu o limite
+const isChatRateLimited = (userId, settings, now = Date.now()) => {
+    const windowMs = settings.rateLimitWindowSeconds * 1000;
+    const recent = (chatRateLimits.get(userId)?.timestamps || []).filter(t => now - t < windowMs);
+    if (recent.length >= settings.rateLimitMessages) {
+        // Com rateLimitMessages a 0 não há envios a guardar
+        if (recent.length > 0) chatRateLimits.set(userId, { timestamps: recent, windowMs });
+        else chatRateLimits.delete(userId);
+        return true;
+    }
+    recent.push(now);
+    chatRateLimits.set(userId, { timestamps: recent, windowMs });
+    return false;
+};
+
+const formatChatMessage = (message, sender) => ({
+    _id: message._id,
+    scope: message.scope,
+    gameId: message.game,
+    sender: { _id: sender._id, username: sender.username, avatar: sender.avatar },
+    text: message.text,
+    quickPhrase: message.quickPhrase,
+    createdAt: message.createdAt,
+});
+
+// Sala do chat pedido: a sala do jogo (apenas para os jogadores) ou a sala do lobby
+const resolveChatRoom = async (socket, gameId) => {
+    if (gameId) {
+        const game = await Game.findById(gameId).select('players');
+        if (!game || !game.players.some(p => p.equals(socket.userId))) throw new Error("Não autorizado neste jogo.");
+        return gameId.toString();
+    }
+    if (!socket.rooms.has(LOBBY_CHAT_ROOM)) throw new Error("Entre no lobby para usar o chat.");
+    return LOBBY_CHAT_ROOM;
+};
+
+const handleChatMessage = async (io, socket, data = {}) => {
+    const { gameId = null, text, quickPhrase } = data;
+    try {
+        const sender = await User.findById(socket.userId).select('username avatar isBlocked chatMutedUntil');
+        if (!sender || sender.isBlocked) throw new Error("Conta bloqueada.");
+        if (sender.chatMutedUntil && sender.chatMutedUntil > new Date()) {
+            throw new Error(`Está silenciado no chat até ${sender.chatMutedUntil.toISOString()}.`);
+        }
+        const room = await resolveChatRoom(socket, gameId);
+        const settings = await getChatSettings();
+
+        let content;
+        let filtered = false;
+        if (quickPhrase) {
+            content = QUICK_PHRASES[quickPhrase];
+            if (!content) throw new Error("Frase rápida inválida.");
+        } else {
+            content = typeof text === 'string' ? text.trim() : '';
+            if (!content) throw new Error("A mensagem está vazia.");
+            if (content.length > settings.maxLength) throw new Error(`A mensagem não pode ter mais de ${settings.maxLength} caracteres.`);
+            const result = applyProfanityFilter(content, settings.profanityFilter);
+            if (result.filtered && settings.profanityFilter.action === 'reject') throw new Error("A mensagem contém palavras não permitidas.");
+            content = result.text;
+            filtered = result.filtered;
+        }
+        if (isChatRateLimited(socket.userId, settings)) throw new Error("Está a enviar mensagens demasiado depressa. Aguarde um pouco.");
+
+        const message = await ChatMessage.create({
+            scope: gameId ? 'game' : 'lobby',
+            game: gameId || null,
+            sender: sender._id,
+            text: content,
+            quickPhrase: quickPhrase || null,
+            filtered,
+        });
+        // Quem silenciou o remetente não recebe a mensagem (cada utilizador tem a sua sala pessoal)
+        const mutedBy = await User.find({ mutedUsers: sender._id }).select('_id');
+        io.to(room).except(mutedBy.map(u => u._id.toString())).emit('chatMessage', formatChatMessage(message, sender));
+    } catch (error) {
+        socket.emit('chatError', { message: error.message });
+    }
+};
+
+const handleChatHistory = async (io, socket, data = {}) => {
+    const { gameId = null } = data;
+    try {
+        await resolveChatRoom(socket, gameId);
+        const user = await User.findById(socket.userId).select('mutedUsers');
+        const messages = await ChatMessage.find({
+            scope: gameId ? 'game' : 'lobby',
+            game: gameId || null,
+            hidden: false,
+            sender: { $nin: user.mutedUsers },
+        }).sort({ createdAt: -1 }).limit(CHAT_HISTORY_LIMIT).populate('sender', 'username avatar');
+        socket.emit('chatHistory', {
+            gameId,
+            messages: messages.reverse().filter(m => m.sender).map(m => formatChatMessage(m, m.sender)),
+        });
+    } catch (error) {
+        socket.emit('chatError', { message: error.message });
+    }
+};
+
+// Silencia (ou volta a mostrar) as mensagens de outro utilizador só para quem pede
+const handleMuteChatUser = async (io, socket, data = {}) => {
+    const { userId, mute = true } = data;
+    try {
+        if (!mongoose.isValidObjectId(userId) || userId === socket.userId) throw new Error("Utilizador inválido.");
+        const update = mute ? { $addToSet: { mutedUsers: userId } } : { $pull: { mutedUsers: userId } };
+        await User.updateOne({ _id: socket.userId }, update);
+        socket.emit('chatMuteUpdated', { userId, muted: !!mute });
+    } catch (error) {
+        socket.emit('chatError', { message: error.message });
+    }
+};
+
+const handleReportChatMessage = async (io, socket, data = {}) => {
+    const { messageId, reason = '' } = data;
+    try {
+        if (!mongoose.isValidObjectId(messageId)) throw new Error("Mensagem não encontrada.");
+        const message = await ChatMessage.findById(messageId).select('scope game sender');
+        if (!message) throw new Error("Mensagem não encontrada.");
+        if (message.sender.equals(socket.userId)) throw new Error("Não pode denunciar a sua própria mensagem.");
+        await resolveChatRoom(socket, message.game);
+        // Cada utilizador denuncia a mesma mensagem uma única vez; uma nova denúncia reabre a revisão
+        await ChatMessage.updateOne(
+            { _id: messageId, 'reports.reporter': { $ne: socket.userId } },
+            {
+                $push: { reports: { reporter: socket.userId, reason: String(reason).slice(0, 200) } },
+                $set: { 'review.status': 'pending' }
+            }
+        );
+        socket.emit('chatMessageReported', { messageId });
+    } catch (error) {
+        socket.emit('chatError', { message: error.message });
+    }
+};
+
+// --- Torneios ---
+// Eliminatória (knockout) ou sistema suíço. As inscrições ficam na conta 'escrow' com referência
+// ao torneio e as partidas são jogos normais sem aposta ligados a ele: finishGame atualiza o rating
+// e chama recordTournamentGame, que regista o resultado e, fechada a ronda, emparelha a seguinte.
+const TOURNAMENT_POINTS = { win: 1, draw: 0.5, bye: 1 };
+// Empates na eliminatória repetem-se (com as cores trocadas) até este número de jogos extra
+const MAX_KNOCKOUT_REPLAYS = 2;
+const tournamentLocks = new Map();
+let tournamentsRunning = false;
+
+// Serializa as alterações a cada torneio: os jogos de uma ronda podem terminar ao mesmo tempo
+const withTournamentLock = (tournamentId, task) => {
+    const key = tournamentId.toString();
+    const run = (tournamentLocks.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tournamentLocks.set(key, tail);
+    tail.then(() => { if (tournamentLocks.get(key) === tail) tournamentLocks.delete(key); });
+    return run;
+};
+
+const getTournamentPlayer = (tournament, userId) => tournament.players.find(p => p.user.equals(userId));
+
+// Classificação: pontos, Buchholz (soma dos pontos dos adversários) e rating de inscrição.
+// Na eliminatória fica à frente quem foi eliminado mais tarde.
+const rankTournamentPlayers = (tournament) => {
+    const scores = new Map(tournament.players.map(p => [p.user._id.toString(), p.score]));
+    const survival = (p) => p.eliminatedInRound ?? Infinity;
+    return tournament.players
+        .map(player => ({ player, buchholz: player.opponents.reduce((sum, id) => sum + (scores.get(id.toString()) || 0), 0) }))
+        .sort((a, b) => (tournament.format === 'knockout' ? survival(b.player) - survival(a.player) : 0)
+            || b.player.score - a.player.score
+            || b.buchholz - a.buchholz
+            || b.player.rating - a.player.rating);
+};
+
+// Quem jogou menos vezes com as brancas fica com elas
+const assignTournamentColors = (a, b) => a.whiteGames <= b.whiteGames ? [a, b] : [b, a];
+
+// Eliminatória com reemparelhamento por cabeça de série: o melhor contra o pior ainda em prova.
+// Na primeira ronda os melhores cabeças de série folgam até o quadro ser uma potência de 2.
+const pairKnockoutRound = (tournament) => {
+    const active = tournament.players.filter(p => !p.eliminated).sort((a, b) => a.seed - b.seed);
+    const byeCount = tournament.rounds.length === 0
+        ? 2 ** Math.ceil(Math.log2(active.length)) - active.length
+        : active.length % 2;
+    const pairs = active.slice(0, byeCount).map(p => [p, null]);
+    const rest = active.slice(byeCount);
+    for (let i = 0; i < rest.length / 2; i++) pairs.push(assignTournamentColors(rest[i], rest[rest.length - 1 - i]));
+    return pairs;
+};
+
+// Suíço (Monrad): emparelha por ordem da classificação, evitando repetir adversários quando há alternativa.
+// Com número ímpar folga o jogador mais abaixo que ainda não folgou.
+const pairSwissRound = (tournament) => {
+    const pool = rankTournamentPlayers(tournament).map(r => r.player).filter(p => !p.eliminated);
+    const pairs = [];
+    if (pool.length % 2) {
+        let index = pool.map(p => p.byes).lastIndexOf(0);
+        if (index === -1) index = pool.length - 1;
+        pairs.push([pool.splice(index, 1)[0], null]);
+    }
+    while (pool.length) {
+        const a = pool.shift();
+        const fresh = pool.findIndex(b => !a.opponents.some(id => id.equals(b.user)));
+        pairs.push(assignTournamentColors(a, pool.splice(Math.max(fresh, 0), 1)[0]));
+    }
+    return pairs;
+};
+
+const buildTournamentGame = (tournament, roundNumber, whiteId, blackId) => {
+    const game = buildNewGame({ whiteId, blackId, betAmount: 0, timeControl: tournament.timeControl, variant: tournament.variant });
+    game.tournament = tournament._id;
+    game.tournamentRound = roundNumber;
+    return game;
+};
+
+// Acrescenta a próxima ronda ao torneio e devolve os jogos criados (ainda por gravar)
+const createTournamentRound = (tournament) => {
+    const number = tournament.rounds.length + 1;
+    const pairs = tournament.format === 'knockout' ? pairKnockoutRound(tournament) : pairSwissRound(tournament);
+    tournament.rounds.push({ number, pairings: [] });
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    const games = [];
+    for (const [white, black] of pairs) {
+        if (!black) {
+            round.pairings.push({ white: white.user, result: 'bye', winner: white.user });
+            applyPairingResult(tournament, round.pairings[round.pairings.length - 1], number);
+            continue;
+        }
+        const game = buildTournamentGame(tournament, number, white.user, black.user);
+        round.pairings.push({ white: white.user, black: black.user, games: [game._id] });
+        games.push(game);
+    }
+    return games;
+};
+
+// Atualiza pontos, adversários e eliminações com o resultado de um emparelhamento.
+// `noShow` retira o derrotado do torneio também no suíço.
+const applyPairingResult = (tournament, pairing, roundNumber, noShow = false) => {
+    const white = getTournamentPlayer(tournament, pairing.white);
+    if (pairing.result === 'bye') {
+        white.score += TOURNAMENT_POINTS.bye;
+        white.byes += 1;
+        return;
+    }
+    const black = getTournamentPlayer(tournament, pairing.black);
+    const eliminate = (player) => { player.eliminated = true; player.eliminatedInRound = roundNumber; };
+    white.opponents.push(black.user);
+    black.opponents.push(white.user);
+    white.whiteGames += 1;
+    if (pairing.result === 'draw') {
+        white.score += TOURNAMENT_POINTS.draw;
+        black.score += TOURNAMENT_POINTS.draw;
+    } else if (pairing.result === 'double_forfeit') {
+        eliminate(white);
+        eliminate(black);
+    } else {
+        const [winner, loser] = pairing.result === 'white' ? [white, black] : [black, white];
+        winner.score += TOURNAMENT_POINTS.win;
+        if (tournament.format === 'knockout' || noShow) eliminate(loser);
+    }
+};
+
+// Divide o prémio líquido pela classificação final. Se houver menos jogadores do que lugares
+// premiados, as percentagens dos lugares sem jogador são repartidas pelos restantes.
+const settleTournamentPrizes = (tournament, feePercentage) => {
+    const ranking = rankTournamentPlayers(tournament);
+    const prizePool = roundMoney(tournament.entryFee * tournament.players.length);
+    const netPool = prizePool - prizePool * feePercentage / 100;
+    const shares = tournament.prizeDistribution.slice(0, ranking.length);
+    const totalShare = shares.reduce((sum, share) => sum + share, 0);
+    tournament.payouts = shares.map((share, i) => ({
+        user: ranking[i].player.user,
+        place: i + 1,
+        amount: roundMoney(netPool * share / totalShare),
+    }));
+    tournament.prizePool = prizePool;
+    // A taxa absorve o arredondamento
+    tournament.platformFee = roundMoney(prizePool - tournament.payouts.reduce((sum, p) => sum + p.amount, 0));
+    tournament.status = 'finished';
+    tournament.finishedAt = new Date();
+};
+
+// Fecha a ronda atual se todos os emparelhamentos tiverem resultado e cria a seguinte, ou termina
+// o torneio. Devolve os jogos novos, ainda por gravar.
+const advanceTournament = async (tournament) => {
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    if (round && round.pairings.some(p => !p.result)) return [];
+    if (round) round.finishedAt = new Date();
+    const active = tournament.players.filter(p => !p.eliminated).length;
+    const done = tournament.format === 'knockout'
+        ? active <= 1
+        : active < 2 || tournament.rounds.length >= tournament.totalRounds;
+    if (!done) return createTournamentRound(tournament);
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+    settleTournamentPrizes(tournament, settings?.platformFeePercentage ?? 10);
+    return [];
+};
+
+// Grava numa transação os jogos novos, o torneio e, se ele acabou de terminar, o pagamento dos prémios
+const saveTournamentStep = async (tournament, games) => {
+    const finishing = tournament.isModified('status') && tournament.status === 'finished';
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        for (const game of games) await game.save({ session });
+        if (finishing) {
+            await postLedgerTransaction({
+                type: 'prize',
+                entries: [
+                    { account: 'escrow', amount: -tournament.prizePool },
+                    ...tournament.payouts.map(p => ({ account: 'user', user: p.user, amount: p.amount })),
+                    { account: 'platform_revenue', amount: tournament.platformFee }
+                ],
+                reference: { kind: 'Tournament', id: tournament._id }, description: 'Prémios do torneio', session
+            });
+        }
+        await tournament.save({ session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+// Avisa os jogadores dos jogos criados, das folgas da ronda nova e do fim do torneio
+const announceTournamentStep = (io, tournament, games, newRound) => {
+    const data = { tournamentId: tournament._id };
+    for (const game of games) {
+        for (const playerId of game.players) {
+            io.to(playerId.toString()).emit('gameChallengeAccepted', { gameId: game._id, tournamentId: tournament._id });
+            notifyUser(io, playerId, {
+                type: 'tournament',
+                title: `${tournament.name}: ronda ${game.tournamentRound}`,
+                message: 'A sua partida do torneio está pronta. Entre na sala para não perder por falta de comparência.',
+                data: { ...data, gameId: game._id, round: game.tournamentRound },
+            });
+        }
+    }
+    if (newRound) {
+        const round = tournament.rounds[tournament.rounds.length - 1];
+        round.pairings.filter(p => p.result === 'bye').forEach(p => notifyUser(io, p.white, {
+            type: 'tournament',
+            title: `${tournament.name}: ronda ${round.number}`,
+            message: `Folga nesta ronda: recebe ${TOURNAMENT_POINTS.bye} ponto e passa à ronda seguinte.`,
+            data: { ...data, round: round.number },
+        }));
+    }
+    if (tournament.status === 'finished') {
+        const ranking = rankTournamentPlayers(tournament);
+        ranking.forEach(({ player }, i) => {
+            const payout = tournament.payouts.find(p => p.user.equals(player.user));
+            notifyUser(io, player.user, {
+                type: 'tournament',
+                title: `${tournament.name} terminou`,
+                message: payout && payout.amount > 0
+                    ? `Terminou em ${i + 1}.º lugar e recebeu ${payout.amount} MT.`
+                    : `Terminou em ${i + 1}.º lugar.`,
+                data: { ...data, place: i + 1, prize: payout?.amount || 0 },
+            });
+        });
+    }
+};
+
+// Cancela um torneio ainda em inscrições e devolve as inscrições. Devolve null se já tinha começado.
+const cancelTournamentRegistration = async (io, tournamentId, reason) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let tournament;
+    try {
+        tournament = await Tournament.findOneAndUpdate(
+            { _id: tournamentId, status: 'registration' },
+            { status: 'cancelled' },
+            { new: true, session }
+        );
+        if (!tournament) {
+            await session.abortTransaction();
+            return null;
+        }
+        for (const player of tournament.players) {
+            await refundStake(player.user, tournament.entryFee, { kind: 'Tournament', id: tournament._id }, session, 'Devolução de inscrição em torneio');
+        }
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+    tournament.players.forEach(player => notifyUser(io, player.user, {
+        type: 'tournament',
+        title: `${tournament.name} foi cancelado`,
+        message: `${reason} A inscrição de ${tournament.entryFee} MT foi devolvida.`,
+        data: { tournamentId: tournament._id },
+    }));
+    return tournament;
+};
+
+// Fecha as inscrições à hora marcada: define os cabeças de série e cria a primeira ronda
+const startTournament = (io, tournamentId) => withTournamentLock(tournamentId, async () => {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return;
+    if (tournament.players.length < tournament.minPlayers) {
+        await cancelTournamentRegistration(io, tournament._id, 'Não houve inscritos suficientes.');
+        return;
+    }
+    [...tournament.players].sort((a, b) => b.rating - a.rating).forEach((player, i) => { player.seed = i + 1; });
+    const knockoutRounds = Math.ceil(Math.log2(tournament.players.length));
+    tournament.totalRounds = tournament.format === 'knockout' ? knockoutRounds : (tournament.totalRounds || knockoutRounds);
+    tournament.status = 'ongoing';
+    tournament.startedAt = new Date();
+    const games = await advanceTournament(tournament);
+    await saveTournamentStep(tournament, games);
+    announceTournamentStep(io, tournament, games, true);
+});
+
+// Regista o resultado de um jogo de torneio terminado (ou cancelado por ninguém aparecer).
+// Um abandono sem lances conta como falta de comparência.
+const recordTournamentGame = (io, game) => withTournamentLock(game.tournament, async () => {
+    const tournament = await Tournament.findById(game.tournament);
+    if (!tournament || tournament.status !== 'ongoing') return;
+    const round = tournament.rounds.find(r => r.number === game.tournamentRound);
+    const pairing = round?.pairings.find(p => p.games.some(id => id.equals(game._id)));
+    // Só conta o último jogo do emparelhamento e apenas uma vez
+    if (!pairing || pairing.result || !pairing.games[pairing.games.length - 1].equals(game._id)) return;
+
+    let games = [];
+    const noShow = game.endReason === 'abandonment' && game.moves.length === 0;
+    if (game.status === 'cancelled') {
+        pairing.result = 'double_forfeit';
+    } else if (game.winner) {
+        pairing.result = game.winner.equals(pairing.white) ? 'white' : 'black';
+        pairing.winner = game.winner;
+    } else if (tournament.format === 'swiss') {
+        pairing.result = 'draw';
+    } else if (pairing.games.length <= MAX_KNOCKOUT_REPLAYS) {
+        const [whiteId, blackId] = game.player1.id.equals(pairing.white) ? [pairing.black, pairing.white] : [pairing.white, pairing.black];
+        const replay = buildTournamentGame(tournament, round.number, whiteId, blackId);
+        pairing.games.push(replay._id);
+        games = [replay];
+    } else {
+        // Esgotadas as repetições passa o melhor cabeça de série
+        const whiteSeed = getTournamentPlayer(tournament, pairing.white).seed;
+        const blackSeed = getTournamentPlayer(tournament, pairing.black).seed;
+        pairing.result = whiteSeed < blackSeed ? 'white' : 'black';
+        pairing.winner = pairing.result === 'white' ? pairing.white : pairing.black;
+    }
+
+    let newRound = false;
+    if (pairing.result) {
+        applyPairingResult(tournament, pairing, round.number, noShow);
+        const roundsBefore = tournament.rounds.length;
+        games = await advanceTournament(tournament);
+        newRound = tournament.rounds.length > roundsBefore;
+    }
+    await saveTournamentStep(tournament, games);
+    announceTournamentStep(io, tournament, games, newRound);
+});
+
+// Jogo de torneio que ninguém iniciou a tempo: com os dois na sala começa já; com um só,
+// quem apareceu ganha por abandono; sem nenhum, os dois são retirados do torneio.
+const resolveTournamentNoShow = async (io, game) => {
+    const present = game.players.filter(playerId => isUserInGameRoom(io, game._id, playerId));
+    if (present.length === 2) {
+        const started = await Game.findOneAndUpdate(
+            { _id: game._id, status: 'waiting_players' },
+            { status: 'ongoing', 'clock.lastMoveAt': new Date() },
+            { new: true }
+        );
+        if (!started) return;
+        scheduleGameClock(io, started);
+        io.to(started.id).emit('startGame', { clock: getClockState(started) });
+    } else if (present.length === 1) {
+        const absent = game.players.find(playerId => !playerId.equals(present[0]));
+        await finishGame(io, game, present[0], absent, 'abandonment');
+    } else {
+        const cancelled = await Game.findOneAndUpdate(
+            { _id: game._id, status: 'waiting_players' },
+            { status: 'cancelled', endReason: 'abandonment' },
+            { new: true }
+        );
+        if (cancelled) await recordTournamentGame(io, cancelled);
+    }
+};
+
+// Executado periodicamente: inicia os torneios à hora marcada, resolve as faltas de comparência
+// e recupera resultados que não chegaram ao torneio (ex.: reinício do servidor a meio).
+const runTournaments = async (io) => {
+    if (tournamentsRunning) return;
+    tournamentsRunning = true;
+    try {
+        await sweepTournaments(io);
+    } finally {
+        tournamentsRunning = false;
+    }
+};
+
+const sweepTournaments = async (io) => {
+    const now = new Date();
+    const due = await Tournament.find({ status: 'registration', startsAt: { $lte: now } }).select('_id');
+    for (const { _id } of due) {
+        await startTournament(io, _id).catch(error => console.error(`Erro ao iniciar o torneio ${_id}:`, error.message));
+    }
+
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+    const noShowMinutes = settings?.tournamentNoShowMinutes ?? 5;
+    const waiting = await Game.find({
+        tournament: { $ne: null },
+        status: 'waiting_players',
+        createdAt: { $lt: new Date(now.getTime() - noShowMinutes * 60 * 1000) },
+    });
+    for (const game of waiting) {
+        await resolveTournamentNoShow(io, game).catch(error => console.error(`Erro na falta de comparência do jogo ${game.id}:`, error.message));
+    }
+
+    const ongoing = await Tournament.find({ status: 'ongoing' }).select('rounds');
+    for (const tournament of ongoing) {
+        const round = tournament.rounds[tournament.rounds.length - 1];
+        const pending = round.pairings.filter(p => !p.result).map(p => p.games[p.games.length - 1]);
+        const ended = await Game.find({ _id: { $in: pending }, status: { $in: ['finished', 'cancelled'] } });
+        for (const game of ended) {
+            await recordTournamentGame(io, game).catch(error => console.error(`Erro ao registar o jogo ${game.id} no torneio:`, error.message));
+        }
+    }
+};
+
+// --- 7. CONTROLADORES DE API REST ---
+// A resposta é a mesma quer o email já tenha conta quer não: o dono da conta existente recebe um aviso
+// por email e a nova conta só entra depois de confirmar o código. Os nomes de utilizador são públicos
+// (rankings, perfis), por isso um nome ocupado continua a ser indicado.
+const registerUser = asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!username || !email || !password) { res.status(400); throw new Error('Por favor, preencha todos os campos.'); }
+    if (!EMAIL_PATTERN.test(email)) { res.status(400); throw new Error('Email inválido.'); }
+    if (await User.exists({ username })) { res.status(400); throw new Error('Este nome de utilizador já está em uso.'); }
+
+    const existing = await User.findOne({ email }).collation(EMAIL_COLLATION).select('email username locale role');
+    if (existing) {
+        // Mesmo custo que a criação da conta (hash da senha), para o tempo de resposta não a denunciar
+        await bcrypt.hash(String(password), 10);
+        queueUserEmail(existing, 'account_exists');
+    } else {
+        let user;
+        try {
+            user = await User.create({ username, email, password, emailVerified: false, ...(SUPPORTED_LOCALES.includes(req.body.locale) && { locale: req.body.locale }) });
+        } catch (error) {
+            // Registo simultâneo com o mesmo nome ou email
+            if (error.code !== 11000) throw error;
+            if (error.keyPattern?.username) { res.status(400); throw new Error('Este nome de utilizador já está em uso.'); }
+        }
+        // O email de boas-vindas segue depois da confirmação
+        if (user) await issueEmailVerification(user);
+    }
+    res.status(201).json({ message: 'Enviámos um código de confirmação para o email indicado. Confirme o email e inicie sessão.' });
+});
+
+const loginUser = asyncHandler(async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
+    const lockKey = `login:${email}`;
+    await assertNotLockedOut(res, lockKey);
+    const user = await User.findOne({ email }).collation(EMAIL_COLLATION);
+    // Compara sempre uma senha, para o tempo de resposta não revelar se a conta existe
+    const passwordMatches = user
+        ? await user.matchPassword(String(password || ''))
+        : (await bcrypt.compare(String(password || ''), DUMMY_PASSWORD_HASH)) && false;
+    if (!passwordMatches) {
+        await recordFailedAttempt(lockKey);
+        res.status(401); throw new Error('Email ou senha inválidos.');
+    }
+    await clearFailedAttempts(lockKey);
+    if (user.isBlocked) { res.status(403); throw new Error('Esta conta foi bloqueada.'); }
+    // Com 2FA a sessão só é criada depois do código (POST /api/auth/login/2fa)
+    if (user.twoFactor.enabled) return res.json({ twoFactorRequired: true, twoFactorToken: generateTwoFactorLoginToken(user._id) });
+    res.json(await buildLoginResponse(user, req));
+});
+
+const buildLoginResponse = async (user, req) => ({
+    _id: user._id, username: user.username, email: user.email,
+    role: user.role, avatar: user.avatar.url, balance: user.balance,
+    // Os administradores sem 2FA só conseguem ativá-la; as rotas de admin ficam bloqueadas até lá
+    twoFactorEnabled: user.twoFactor.enabled,
+    emailVerified: user.emailVerified !== false,
+    ...(user.role === 'admin' && !user.twoFactor.enabled && { twoFactorSetupRequired: true }),
+    ...(await createSession(user, req)),
+});
+
+// Segundo passo do login: código TOTP ou código de recuperação
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+    const { twoFactorToken, code } = req.body;
+    let decoded = null;
+    try {
+        decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (error) {
+        decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa_login') { res.status(401); throw new Error('O pedido de login expirou. Inicie sessão novamente.'); }
+    const lockKey = `2fa:${decoded.id}`;
+    await assertNotLockedOut(res, lockKey);
+    const user = await User.findById(decoded.id);
+    if (!user || user.isBlocked) { res.status(401); throw new Error('Não autorizado.'); }
+    const result = await verifyTwoFactorCode(user._id, code, { allowRecovery: true });
+    assertTwoFactorNotReplayed(res, result);
+    if (!result.valid) {
+        await recordFailedAttempt(lockKey);
+        res.status(401); throw new Error('Código inválido.');
+    }
+    await clearFailedAttempts(lockKey);
+    res.json(await buildLoginResponse(user, req));
+});
+
+// A resposta é sempre a mesma, exista ou não uma conta com este email
+const forgotPassword = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: normalizeEmail(req.body.email) }).collation(EMAIL_COLLATION);
+    if (user) {
+        const resetToken = crypto.randomBytes(4).toString('hex').toUpperCase();
+        user.resetPasswordToken = hashToken(resetToken);
+        user.resetPasswordExpires = Date.now() + PASSWORD_RESET.codeTtlMinutes * 60 * 1000;
+        user.resetPasswordAttempts = 0;
         await user.save();
-        res.status(500); throw new Error('Erro ao enviar o email.');
+        queueUserEmail(user, 'password_reset', { token: resetToken, minutes: PASSWORD_RESET.codeTtlMinutes });
     }
+    res.json({ message: 'Se existir uma conta com este email, enviámos um código de recuperação.' });
 });
 
+// O código é verificado contra a conta do email indicado; ao fim de PASSWORD_RESET.maxAttempts
+// códigos errados deixa de valer e é preciso pedir outro
 const resetPassword = asyncHandler(async (req, res) => {
     const { token, password } = req.body;
-    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
-    const user = await User.findOne({ resetPasswordToken: hashedToken, resetPasswordExpires: { $gt: Date.now() } });
-    if (!user) { res.status(400); throw new Error('Código inválido ou expirado.'); }
+    if (!password) { res.status(400); throw new Error('Indique a nova senha.'); }
+    const user = await User.findOne({ email: normalizeEmail(req.body.email), resetPasswordExpires: { $gt: Date.now() } }).collation(EMAIL_COLLATION);
+    if (!user || !user.resetPasswordToken) { res.status(400); throw new Error('Código inválido ou expirado.'); }
+    if (hashToken(String(token || '').trim().toUpperCase()) !== user.resetPasswordToken) {
+        const updated = await User.findOneAndUpdate({ _id: user._id }, { $inc: { resetPasswordAttempts: 1 } }, { new: true }).select('resetPasswordAttempts');
+        if (updated.resetPasswordAttempts >= PASSWORD_RESET.maxAttempts) {
+            await User.updateOne({ _id: user._id }, { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1, resetPasswordAttempts: 1 } });
+        }
+        res.status(400); throw new Error('Código inválido ou expirado.');
+    }
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    user.resetPasswordAttempts = undefined;
     await user.save();
+    // Quem tinha a senha antiga deixa de ter acesso
+    await revokeSessions(req.app.get('socketio'), { user: user._id }, 'password_reset');
+    queueUserEmail(user, 'password_changed', { date: new Date() });
     res.json({ message: 'Senha redefinida com sucesso.' });
 });
 
+// Troca o refresh token por um novo par de tokens. Reutilizar um refresh token já trocado revoga a sessão.
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const [sessionId, secret] = String(req.body.refreshToken || '').split('.');
+    if (!mongoose.isValidObjectId(sessionId) || !secret) { res.status(401); throw new Error('Refresh token inválido.'); }
+    const session = await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!session) { res.status(401); throw new Error('Sessão terminada ou expirada. Inicie sessão novamente.'); }
+
+    const presentedHash = hashToken(secret);
+    const io = req.app.get('socketio');
+    if (presentedHash === session.previousTokenHash) {
+        await revokeSessions(io, { _id: session._id }, 'token_reuse');
+        res.status(401); throw new Error('Sessão terminada por segurança. Inicie sessão novamente.');
+    }
+    if (presentedHash !== session.refreshTokenHash) { res.status(401); throw new Error('Refresh token inválido.'); }
+    const user = await User.findById(session.user).select('isBlocked');
+    if (!user || user.isBlocked) {
+        await revokeSessions(io, { _id: session._id }, 'account_blocked');
+        res.status(401); throw new Error('Esta conta foi bloqueada.');
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    // Só um pedido pode trocar o mesmo token
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            refreshTokenHash: hashToken(newSecret), previousTokenHash: presentedHash,
+            lastUsedAt: new Date(), ip: req.ip, expiresAt: getRefreshExpiry(),
+        },
+        { new: true }
+    );
+    if (!rotated) { res.status(401); throw new Error('Refresh token inválido.'); }
+    res.json({ token: generateToken(session.user, session.id), refreshToken: `${session.id}.${newSecret}` });
+});
+
+// Termina a sessão do refresh token enviado (funciona mesmo com o token de acesso expirado)
+const logoutUser = asyncHandler(async (req, res) => {
+    const [sessionId, secret] = String(req.body.refreshToken || '').split('.');
+    if (mongoose.isValidObjectId(sessionId) && secret) {
+        const hash = hashToken(secret);
+        await revokeSessions(req.app.get('socketio'), { _id: sessionId, $or: [{ refreshTokenHash: hash }, { previousTokenHash: hash }] }, 'logout');
+    }
+    res.json({ message: 'Sessão terminada.' });
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastUsedAt: -1 })
+        .select('userAgent ip lastUsedAt expiresAt createdAt');
+    res.json(sessions.map(s => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        createdAt: s.createdAt,
+        current: s._id.equals(req.sessionId),
+    })));
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Sessão não encontrada.'); }
+    const revoked = await revokeSessions(req.app.get('socketio'), { _id: req.params.id, user: req.user._id }, 'revoked');
+    if (!revoked) { res.status(404); throw new Error('Sessão não encontrada.'); }
+    res.json({ message: 'Sessão terminada.' });
+});
+
+// Termina todas as outras sessões do utilizador; a sessão atual continua ativa
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const revoked = await revokeSessions(req.app.get('socketio'), { user: req.user._id, _id: { $ne: req.sessionId } }, 'revoked_all');
+    res.json({ message: 'As outras sessões foram terminadas.', revoked });
+});
+
+// --- Dois fatores ---
+// Gera um segredo novo (ainda inativo) e devolve-o com o URI otpauth:// para o QR code
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.twoFactor?.enabled) { res.status(400); throw new Error('A autenticação de dois fatores já está ativa.'); }
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+    res.json({ secret, otpauthUrl: buildOtpauthUri(secret, req.user.email) });
+});
+
+// Ativa a 2FA com o primeiro código da aplicação e devolve os códigos de recuperação (mostrados uma única vez)
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor.enabled) { res.status(400); throw new Error('A autenticação de dois fatores já está ativa.'); }
+    if (!user.twoFactor.pendingSecret) { res.status(400); throw new Error('Comece por gerar um segredo.'); }
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, req.body.code);
+    if (step === null) { res.status(400); throw new Error('Código inválido. Confirme a hora do telemóvel e tente novamente.'); }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.enabledAt': new Date(),
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.recoveryCodes': recoveryCodes.map(hashToken),
+            'twoFactor.lastUsedStep': step,
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 },
+    });
+    // As outras sessões foram abertas sem o segundo fator
+    await revokeSessions(req.app.get('socketio'), { user: user._id, _id: { $ne: req.sessionId } }, 'revoked_all');
+    res.json({ message: 'Autenticação de dois fatores ativada.', recoveryCodes });
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const result = await verifyTwoFactorCode(req.user._id, req.body.code);
+    assertTwoFactorNotReplayed(res, result);
+    if (!result.valid) { res.status(403); throw new Error('Código inválido.'); }
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.recoveryCodes': recoveryCodes.map(hashToken) });
+    res.json({ recoveryCodes });
+});
+
+// Desativa a 2FA com a senha e um código (TOTP ou de recuperação). Os administradores não podem desativar.
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+    if (req.user.role === 'admin') { res.status(403); throw new Error('A autenticação de dois fatores é obrigatória para administradores.'); }
+    if (!req.user.twoFactor?.enabled) { res.status(400); throw new Error('A autenticação de dois fatores não está ativa.'); }
+    const user = await User.findById(req.user._id);
+    if (!(await user.matchPassword(password || ''))) { res.status(401); throw new Error('Senha incorreta.'); }
+    const result = await verifyTwoFactorCode(user._id, code, { allowRecovery: true });
+    assertTwoFactorNotReplayed(res, result);
+    if (!result.valid) { res.status(403); throw new Error('Código inválido.'); }
+    await User.updateOne({ _id: user._id }, {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.recoveryCodes': 1, 'twoFactor.lastUsedStep': 1 },
+    });
+    res.json({ message: 'Autenticação de dois fatores desativada.' });
+});
+
+// --- Verificação e troca de email ---
+// Confirma o email com o código recebido (também usado pelo link do email, por isso não requer login)
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+    const pending = { email: normalizeEmail(req.body.email), emailVerified: false, 'emailVerification.expiresAt': { $gt: new Date() } };
+    // A tentativa é reservada antes de comparar o código, para pedidos em paralelo não passarem todos o limite
+    const user = await User.findOneAndUpdate(
+        { ...pending, 'emailVerification.attempts': { $lt: EMAIL_VERIFICATION.maxAttempts } },
+        { $inc: { 'emailVerification.attempts': 1 } },
+        { new: true, collation: EMAIL_COLLATION }
+    ).select('+emailVerification.codeHash');
+    if (!user) {
+        const exhausted = await User.exists(pending).collation(EMAIL_COLLATION);
+        res.status(400); throw new Error(exhausted ? 'Demasiadas tentativas. Peça um novo código.' : 'Código inválido ou expirado.');
+    }
+    if (!user.emailVerification.codeHash || hashToken(String(code || '')) !== user.emailVerification.codeHash) {
+        res.status(400); throw new Error('Código inválido ou expirado.');
+    }
+    await User.updateOne({ _id: user._id }, { emailVerified: true, $unset: { emailVerification: 1 } });
+    queueUserEmail(user, 'welcome');
+    res.json({ message: 'Email confirmado.' });
+});
+
+const resendEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user.emailVerified !== false) { res.status(400); throw new Error('O seu email já está confirmado.'); }
+    const wait = getResendWait(req.user.emailVerification?.sentAt);
+    if (wait > 0) { res.status(429); throw new Error(`Aguarde ${wait} segundos para pedir outro código.`); }
+    await issueEmailVerification(req.user);
+    res.json({ message: 'Enviámos um novo código para o seu email.', cooldownSeconds: EMAIL_VERIFICATION.resendCooldownSeconds });
+});
+
+// Pede a troca de email: envia um código para o endereço atual e outro para o novo
+const requestEmailChange = asyncHandler(async (req, res) => {
+    const { newEmail, password } = req.body;
+    const email = normalizeEmail(newEmail);
+    if (!EMAIL_PATTERN.test(email)) { res.status(400); throw new Error('Email inválido.'); }
+    if (email === normalizeEmail(req.user.email)) { res.status(400); throw new Error('Este já é o email da sua conta.'); }
+    const user = await User.findById(req.user._id);
+    if (!(await user.matchPassword(password || ''))) { res.status(401); throw new Error('Senha incorreta.'); }
+    if (await User.exists({ email }).collation(EMAIL_COLLATION)) { res.status(400); throw new Error('Este email já está a ser usado.'); }
+    const wait = getResendWait(user.emailChange?.sentAt);
+    if (wait > 0) { res.status(429); throw new Error(`Aguarde ${wait} segundos para pedir outro código.`); }
+
+    const oldCode = generateEmailCode();
+    const newCode = generateEmailCode();
+    await User.updateOne({ _id: user._id }, {
+        emailChange: {
+            newEmail: email,
+            oldCodeHash: hashToken(oldCode),
+            newCodeHash: hashToken(newCode),
+            expiresAt: new Date(Date.now() + EMAIL_VERIFICATION.codeTtlMinutes * 60 * 1000),
+            sentAt: new Date(),
+            attempts: 0,
+        },
+    });
+    queueUserEmail(user, 'email_change_old', { newEmail: email, code: oldCode });
+    queueUserEmail({ email, username: user.username, locale: user.locale, role: user.role }, 'email_change_new', { code: newCode, minutes: EMAIL_VERIFICATION.codeTtlMinutes });
+    res.json({ message: 'Enviámos um código para o email atual e outro para o novo.', cooldownSeconds: EMAIL_VERIFICATION.resendCooldownSeconds });
+});
+
+// Aplica a troca com os dois códigos; o novo endereço fica confirmado
+const confirmEmailChange = asyncHandler(async (req, res) => {
+    const { oldCode, newCode } = req.body;
+    const pending = { _id: req.user._id, 'emailChange.newEmail': { $ne: null }, 'emailChange.expiresAt': { $gt: new Date() } };
+    // Tentativa reservada antes da comparação (ver verifyEmail)
+    const user = await User.findOneAndUpdate(
+        { ...pending, 'emailChange.attempts': { $lt: EMAIL_VERIFICATION.maxAttempts } },
+        { $inc: { 'emailChange.attempts': 1 } },
+        { new: true }
+    ).select('+emailChange.oldCodeHash +emailChange.newCodeHash');
+    if (!user) {
+        const exhausted = await User.exists(pending);
+        res.status(400); throw new Error(exhausted ? 'Demasiadas tentativas. Peça a troca novamente.' : 'Não há nenhuma troca de email pendente ou o pedido expirou.');
+    }
+    const change = user.emailChange;
+    if (!change.oldCodeHash || hashToken(String(oldCode || '')) !== change.oldCodeHash || hashToken(String(newCode || '')) !== change.newCodeHash) {
+        res.status(400); throw new Error('Códigos inválidos.');
+    }
+    try {
+        await User.updateOne({ _id: user._id }, { email: change.newEmail, emailVerified: true, $unset: { emailChange: 1, emailVerification: 1 } });
+    } catch (error) {
+        // Índice único: outro utilizador registou o mesmo email entretanto
+        if (error.code === 11000) { res.status(400); throw new Error('Este email já está a ser usado.'); }
+        throw error;
+    }
+    res.json({ message: 'Email alterado.', email: change.newEmail });
+});
+
 const getUserProfile = asyncHandler(async (req, res) => { res.json(req.user); });
 
 const updateUserProfile = asyncHandler(async (req, res) => {
@@ -422,12 +2363,18 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     if (user) {
         user.username = req.body.username || user.username;
         user.bio = req.body.bio !== undefined ? req.body.bio : user.bio;
+        if (req.body.locale !== undefined) {
+            if (!SUPPORTED_LOCALES.includes(req.body.locale)) { res.status(400); throw new Error('Idioma não suportado.'); }
+            user.locale = req.body.locale;
+        }
+        const paymentChanged = ['mpesaNumber', 'emolaNumber'].some(key => req.body[key] && req.body[key] !== user.paymentInfo[key]);
+        if (paymentChanged) await assertFreshTwoFactor(req, res);
         user.paymentInfo.mpesaNumber = req.body.mpesaNumber || user.paymentInfo.mpesaNumber;
         user.paymentInfo.emolaNumber = req.body.emolaNumber || user.paymentInfo.emolaNumber;
         const updatedUser = await user.save();
         res.json({
             _id: updatedUser._id, username: updatedUser.username, email: updatedUser.email,
-            avatar: updatedUser.avatar, bio: updatedUser.bio, paymentInfo: updatedUser.paymentInfo
+            avatar: updatedUser.avatar, bio: updatedUser.bio, paymentInfo: updatedUser.paymentInfo, locale: updatedUser.locale
         });
     } else { res.status(404); throw new Error('Utilizador não encontrado.'); }
 });
@@ -451,33 +2398,154 @@ const uploadAvatar = asyncHandler(async (req, res) => {
 });
 
 const getPublicProfile = asyncHandler(async (req, res) => {
-    const user = await User.findOne({ username: req.params.username }).select('-password -email -paymentInfo -balance -role -resetPasswordToken -resetPasswordExpires');
-    if (user) res.json(user); else { res.status(404); throw new Error('Utilizador não encontrado.'); }
+    // Lista de campos permitidos: campos novos do esquema ficam privados por omissão
+    const user = await User.findOne({ username: req.params.username }).select('username avatar bio stats rating createdAt');
+    if (user) res.json({ ...user.toObject(), rating: formatRating(user.rating) }); else { res.status(404); throw new Error('Utilizador não encontrado.'); }
+});
+
+// Histórico de rating de um jogador, uma entrada por partida avaliada
+const getRatingHistory = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ username: req.params.username }).select('_id rating');
+    if (!user) { res.status(404); throw new Error('Utilizador não encontrado.'); }
+    const games = await Game.find({ players: user._id, status: 'finished', 'ratingChanges.player': user._id })
+        .sort({ updatedAt: 1 }).select('ratingChanges endReason winner updatedAt');
+    const history = games.map(game => {
+        const change = game.ratingChanges.find(c => c.player.equals(user._id));
+        const result = !game.winner ? 'draw' : (game.winner.equals(user._id) ? 'win' : 'loss');
+        return { gameId: game._id, date: game.updatedAt, result, before: change.before, after: change.after, delta: change.delta };
+    });
+    res.json({ rating: formatRating(user.rating), history });
 });
 
+// ?sort=rating ordena pelo rating Glicko-2 e exclui contas com rating provisório;
+// por omissão mantém a ordenação por ganhos totais.
 const getRanking = asyncHandler(async (req, res) => {
-    const users = await User.find({ role: 'user' }).sort({ 'stats.totalWinnings': -1 }).limit(100).select('username avatar stats.wins stats.losses stats.totalWinnings');
-    res.json(users);
+    const query = { role: 'user' };
+    let sort = { 'stats.totalWinnings': -1 };
+    if (req.query.sort === 'rating') {
+        query['rating.deviation'] = { $lte: GLICKO.provisionalDeviation };
+        sort = { 'rating.value': -1 };
+    }
+    const users = await User.find(query).sort(sort).limit(100).select('username avatar stats.wins stats.losses stats.draws stats.totalWinnings rating');
+    res.json(users.map(user => ({ ...user.toObject(), rating: formatRating(user.rating) })));
+});
+
+// --- Amigos ---
+const getFriends = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const friendships = await Friendship.find({ $or: [{ requester: userId }, { recipient: userId }] })
+        .populate('requester recipient', 'username avatar rating');
+    const io = req.app.get('socketio');
+    const accepted = friendships.filter(f => f.status === 'accepted');
+    const friends = accepted.map(f => (f.requester._id.equals(userId) ? f.recipient : f.requester));
+    const presence = await getPresence(io, friends.map(f => f._id));
+    res.json({
+        friends: friends.map(f => ({
+            _id: f._id, username: f.username, avatar: f.avatar,
+            rating: formatRating(f.rating), presence: presence[f._id.toString()],
+        })),
+        incoming: friendships.filter(f => f.status === 'pending' && f.recipient._id.equals(userId))
+            .map(f => ({ requestId: f._id, from: { _id: f.requester._id, username: f.requester.username, avatar: f.requester.avatar }, createdAt: f.createdAt })),
+        outgoing: friendships.filter(f => f.status === 'pending' && f.requester._id.equals(userId))
+            .map(f => ({ requestId: f._id, to: { _id: f.recipient._id, username: f.recipient.username, avatar: f.recipient.avatar }, createdAt: f.createdAt })),
+    });
 });
 
+// Envia um pedido de amizade; se o outro utilizador já tinha pedido, a amizade fica aceite
+const sendFriendRequest = asyncHandler(async (req, res) => {
+    const { username } = req.body;
+    const target = await User.findOne({ username, role: { $ne: 'bot' } }).select('_id username avatar isBlocked');
+    if (!target || target.isBlocked) { res.status(404); throw new Error('Utilizador não encontrado.'); }
+    if (target._id.equals(req.user._id)) { res.status(400); throw new Error('Não pode adicionar-se a si mesmo.'); }
+
+    const io = req.app.get('socketio');
+    const existing = await Friendship.findOne({ $or: [
+        { requester: req.user._id, recipient: target._id },
+        { requester: target._id, recipient: req.user._id },
+    ] });
+    if (existing && existing.status === 'accepted') { res.status(400); throw new Error('Já são amigos.'); }
+    if (existing && existing.requester.equals(req.user._id)) { res.status(400); throw new Error('Pedido de amizade já enviado.'); }
+    if (existing) {
+        existing.status = 'accepted';
+        existing.acceptedAt = new Date();
+        await existing.save();
+        io.to(target._id.toString()).emit('friendRequestAccepted', { requestId: existing._id, by: { _id: req.user._id, username: req.user.username } });
+        return res.json({ message: 'Pedido de amizade aceite.', friendship: existing });
+    }
+    const friendship = await Friendship.create({ requester: req.user._id, recipient: target._id });
+    io.to(target._id.toString()).emit('friendRequestReceived', {
+        requestId: friendship._id,
+        from: { _id: req.user._id, username: req.user.username, avatar: req.user.avatar },
+    });
+    notifyUser(io, target._id, {
+        type: 'friend_request',
+        title: 'Pedido de amizade',
+        message: `${req.user.username} quer ser seu amigo.`,
+        data: { requestId: friendship._id, from: req.user._id },
+    });
+    res.status(201).json({ message: 'Pedido de amizade enviado.', friendship });
+});
+
+const acceptFriendRequest = asyncHandler(async (req, res) => {
+    const friendship = await Friendship.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user._id, status: 'pending' },
+        { status: 'accepted', acceptedAt: new Date() },
+        { new: true }
+    );
+    if (!friendship) { res.status(404); throw new Error('Pedido de amizade não encontrado.'); }
+    const io = req.app.get('socketio');
+    io.to(friendship.requester.toString()).emit('friendRequestAccepted', { requestId: friendship._id, by: { _id: req.user._id, username: req.user.username } });
+    const presence = await getPresence(io, [friendship.requester]);
+    res.json({ message: 'Pedido de amizade aceite.', friendship, presence: presence[friendship.requester.toString()] });
+});
+
+// Recusa (destinatário) ou cancela (remetente) um pedido pendente
+const deleteFriendRequest = asyncHandler(async (req, res) => {
+    const friendship = await Friendship.findOneAndDelete({
+        _id: req.params.id,
+        status: 'pending',
+        $or: [{ requester: req.user._id }, { recipient: req.user._id }],
+    });
+    if (!friendship) { res.status(404); throw new Error('Pedido de amizade não encontrado.'); }
+    res.json({ message: 'Pedido de amizade removido.' });
+});
+
+const removeFriend = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.userId)) { res.status(404); throw new Error('Amizade não encontrada.'); }
+    const friendship = await Friendship.findOneAndDelete({ status: 'accepted', $or: [
+        { requester: req.user._id, recipient: req.params.userId },
+        { requester: req.params.userId, recipient: req.user._id },
+    ] });
+    if (!friendship) { res.status(404); throw new Error('Amizade não encontrada.'); }
+    req.app.get('socketio').to(req.params.userId).emit('friendRemoved', { userId: req.user._id });
+    res.json({ message: 'Amigo removido.' });
+});
+
+// Validações comuns a uma oferta de aposta (sala no lobby ou desafio direto)
+const validateStakeOffer = (user, settings, { betAmount, timeControl, variant }) => {
+    if (!betAmount || betAmount <= 0) throw new Error("Aposta deve ser positiva.");
+    if (settings && betAmount > settings.maxBet) throw new Error(`Aposta máxima é ${settings.maxBet} MT.`);
+    if (!TIME_CONTROL_PRESETS[timeControl]) throw new Error('Controlo de tempo inválido.');
+    if (!VARIANTS[variant]) throw new Error('Variante inválida.');
+    if (user.balance < betAmount) throw new Error('Saldo insuficiente.');
+};
+
 const createLobbyRoom = asyncHandler(async (req, res) => {
-    const { betAmount, gameType, privateCode, message } = req.body;
+    const { betAmount, gameType, privateCode, message, timeControl = DEFAULT_TIME_CONTROL, variant = DEFAULT_VARIANT } = req.body;
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
         const user = await User.findById(req.user._id).session(session);
         const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).session(session);
-        if (!betAmount || betAmount <= 0) throw new Error("Aposta deve ser positiva.");
-        if (settings && betAmount > settings.maxBet) throw new Error(`Aposta máxima é ${settings.maxBet} MT.`);
-        if (user.balance < betAmount) throw new Error('Saldo insuficiente.');
-        user.balance -= betAmount;
-        await user.save({ session });
-        const lobbyData = { creator: req.user._id, betAmount, gameType, message };
+        if (gameType === 'direct') throw new Error('Use /api/challenges para desafiar um amigo.');
+        validateStakeOffer(user, settings, { betAmount, timeControl, variant });
+        const lobbyData = { creator: req.user._id, betAmount, gameType, message, timeControl: TIME_CONTROL_PRESETS[timeControl], variant };
         if (gameType === 'private') {
             if(!privateCode) throw new Error('Jogos privados requerem código.');
             lobbyData.privateCode = privateCode;
         }
         const newLobby = (await LobbyRoom.create([lobbyData], { session }))[0];
+        await escrowStake(user._id, betAmount, { kind: 'LobbyRoom', id: newLobby._id }, session);
         await session.commitTransaction();
         const populatedLobby = await newLobby.populate('creator', 'username avatar');
         req.app.get('socketio').to('lobby_room').emit('new_lobby_room', populatedLobby);
@@ -490,6 +2558,64 @@ const createLobbyRoom = asyncHandler(async (req, res) => {
     }
 });
 
+// Cancela uma sala em espera e devolve a aposta ao criador na mesma transação.
+// Devolve a sala cancelada, ou null se ela já não estava em espera (ex.: aceite entretanto).
+const cancelWaitingLobby = async (lobbyId) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const lobby = await LobbyRoom.findOneAndUpdate(
+            { _id: lobbyId, status: 'waiting' },
+            { status: 'cancelled' },
+            { new: true, session }
+        );
+        if (!lobby) {
+            await session.abortTransaction();
+            return null;
+        }
+        await refundStake(lobby.creator, lobby.betAmount, { kind: 'LobbyRoom', id: lobby._id }, session);
+        await session.commitTransaction();
+        return lobby;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+const cancelLobbyRoom = asyncHandler(async (req, res) => {
+    const lobby = await LobbyRoom.findById(req.params.id);
+    if (!lobby) { res.status(404); throw new Error('Sala não encontrada.'); }
+    if (!lobby.creator.equals(req.user._id)) { res.status(403); throw new Error('Apenas o criador pode cancelar esta sala.'); }
+    const cancelled = lobby.status === 'waiting' && await cancelWaitingLobby(lobby._id);
+    if (!cancelled) { res.status(400); throw new Error('A sala já não está em espera.'); }
+    if (lobby.gameType === 'direct') req.app.get('socketio').to(lobby.invitedUser.toString()).emit('directChallengeRemoved', { lobbyId: lobby._id });
+    else req.app.get('socketio').to('lobby_room').emit('lobby_room_removed', lobby._id.toString());
+    res.json({ message: 'Sala cancelada e aposta devolvida.', refund: cancelled.betAmount });
+});
+
+// Cancela e reembolsa as salas em espera há mais tempo do que AdminSettings.lobbyTtlMinutes
+// e os desafios diretos cujo expiresAt já passou
+const sweepExpiredLobbies = async (io) => {
+    const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
+    const ttlMinutes = settings?.lobbyTtlMinutes ?? 30;
+    const conditions = [{ gameType: 'direct', expiresAt: { $lt: new Date() } }];
+    if (ttlMinutes) conditions.push({ gameType: { $ne: 'direct' }, createdAt: { $lt: new Date(Date.now() - ttlMinutes * 60 * 1000) } });
+    const expired = await LobbyRoom.find({ status: 'waiting', $or: conditions }).select('_id');
+    for (const { _id } of expired) {
+        try {
+            const lobby = await cancelWaitingLobby(_id);
+            if (!lobby) continue;
+            if (lobby.gameType === 'direct') io.to(lobby.invitedUser.toString()).emit('directChallengeRemoved', { lobbyId: lobby._id });
+            else io.to('lobby_room').emit('lobby_room_removed', lobby._id.toString());
+            io.to(lobby.creator.toString()).emit('lobbyExpired', { lobbyId: lobby._id, refund: lobby.betAmount });
+        } catch (error) {
+            console.error(`Erro ao expirar a sala ${_id}:`, error.message);
+        }
+    }
+};
+
 const getPublicLobbies = asyncHandler(async (req, res) => {
     const lobbies = await LobbyRoom.find({ status: 'waiting', gameType: 'public' }).populate('creator', 'username avatar').sort({ createdAt: -1 });
     res.json(lobbies);
@@ -500,6 +2626,63 @@ const findPrivateLobbyByCode = asyncHandler(async (req, res) => {
     if(lobby) res.json(lobby); else res.status(404).json({ message: 'Nenhum jogo encontrado com este código.'});
 });
 
+// --- Desafios diretos ---
+// Sala 'direct' enviada à sala pessoal de um amigo: a aposta fica em escrow até ele aceitar
+// (socket 'acceptChallenge'), recusar ('declineChallenge') ou o desafio expirar.
+const createDirectChallenge = asyncHandler(async (req, res) => {
+    const { friendId, betAmount, message, timeControl = DEFAULT_TIME_CONTROL, variant = DEFAULT_VARIANT } = req.body;
+    if (!mongoose.isValidObjectId(friendId)) { res.status(400); throw new Error('Amigo inválido.'); }
+    const friendIds = await getFriendIds(req.user._id);
+    if (!friendIds.includes(friendId)) { res.status(403); throw new Error('Só pode desafiar diretamente os seus amigos.'); }
+    const io = req.app.get('socketio');
+    if (!isUserOnline(io, friendId)) { res.status(400); throw new Error('O seu amigo não está online.'); }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const user = await User.findById(req.user._id).session(session);
+        const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).session(session);
+        validateStakeOffer(user, settings, { betAmount, timeControl, variant });
+        const ttlSeconds = settings?.directChallengeTtlSeconds ?? 120;
+        const lobby = (await LobbyRoom.create([{
+            creator: req.user._id,
+            betAmount,
+            gameType: 'direct',
+            invitedUser: friendId,
+            expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+            message,
+            timeControl: TIME_CONTROL_PRESETS[timeControl],
+            variant,
+        }], { session }))[0];
+        await escrowStake(user._id, betAmount, { kind: 'LobbyRoom', id: lobby._id }, session);
+        await session.commitTransaction();
+        const populatedLobby = await lobby.populate('creator', 'username avatar');
+        io.to(friendId).emit('directChallengeReceived', populatedLobby);
+        notifyUser(io, friendId, {
+            type: 'challenge_received',
+            title: 'Novo desafio',
+            message: `${req.user.username} desafiou-o para uma partida de ${betAmount} MT.`,
+            data: { lobbyId: lobby._id, from: req.user._id, expiresAt: lobby.expiresAt },
+        });
+        res.status(201).json(populatedLobby);
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+});
+
+// Desafios diretos pendentes recebidos e enviados
+const getDirectChallenges = asyncHandler(async (req, res) => {
+    const query = { gameType: 'direct', status: 'waiting', expiresAt: { $gt: new Date() } };
+    const [incoming, outgoing] = await Promise.all([
+        LobbyRoom.find({ ...query, invitedUser: req.user._id }).populate('creator', 'username avatar').sort({ createdAt: -1 }),
+        LobbyRoom.find({ ...query, creator: req.user._id }).populate('invitedUser', 'username avatar').sort({ createdAt: -1 }),
+    ]);
+    res.json({ incoming, outgoing });
+});
+
 const getGameHistory = asyncHandler(async (req, res) => {
     const games = await Game.find({ players: req.user._id, status: 'finished' }).populate('players', 'username avatar').sort({ updatedAt: -1 });
     res.json(games);
@@ -535,6 +2718,233 @@ const getGameDetails = asyncHandler(async (req, res) => {
     res.json(game);
 });
 
+// Posições após cada meio-lance para a repetição da partida; ?ply=N devolve só essa posição
+const getGameReplay = asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.id).select('players moves status variant');
+    if (!game) { res.status(404); throw new Error("Jogo não encontrado."); }
+    if (!game.players.some(p => p.equals(req.user._id)) && req.user.role !== 'admin') {
+        res.status(403); throw new Error("Não autorizado a ver este jogo.");
+    }
+    const positions = replayMoves(game.moves, getVariant(game.variant));
+    if (req.query.ply !== undefined) {
+        const ply = Number(req.query.ply);
+        if (!Number.isInteger(ply) || ply < 0 || ply >= positions.length) {
+            res.status(400); throw new Error(`O meio-lance deve estar entre 0 e ${positions.length - 1}.`);
+        }
+        return res.json({ gameId: game._id, totalPlies: positions.length - 1, ...positions[ply] });
+    }
+    res.json({ gameId: game._id, status: game.status, variant: getVariant(game.variant).id, totalPlies: positions.length - 1, positions });
+});
+
+const exportGamePdn = asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.id)
+        .populate('player1.id', 'username')
+        .populate('player2.id', 'username');
+    if (!game) { res.status(404); throw new Error("Jogo não encontrado."); }
+    if (!game.players.some(p => p.equals(req.user._id)) && req.user.role !== 'admin') {
+        res.status(403); throw new Error("Não autorizado a ver este jogo.");
+    }
+    if (game.status !== 'finished') { res.status(400); throw new Error("Apenas partidas terminadas podem ser exportadas."); }
+    const pdn = renderPdn(game, { white: game.player1.id.username, black: game.player2.id.username }, getVariant(game.variant));
+    res.type('text/plain').attachment(`brainskill-${game._id}.pdn`).send(pdn);
+});
+
+const exportGameHistoryPdn = asyncHandler(async (req, res) => {
+    const games = await Game.find({ players: req.user._id, status: 'finished' })
+        .populate('player1.id', 'username')
+        .populate('player2.id', 'username')
+        .sort({ updatedAt: -1 });
+    const pdn = games.map(game => renderPdn(game, { white: game.player1.id.username, black: game.player2.id.username }, getVariant(game.variant))).join('\n');
+    res.type('text/plain').attachment(`brainskill-${req.user.username}.pdn`).send(pdn);
+});
+
+// Valida um jogo PDN com o motor de regras e indica o primeiro lance ilegal, se existir
+const importPdn = asyncHandler(async (req, res) => {
+    const { pdn } = req.body;
+    if (!pdn || typeof pdn !== 'string') { res.status(400); throw new Error("Envie o texto PDN no campo 'pdn'."); }
+    const parsed = parsePdn(pdn);
+    const variant = parsed.tags.GameType ? getVariantByPdnGameType(parsed.tags.GameType) : getVariant(DEFAULT_VARIANT);
+    if (!variant) {
+        res.status(400); throw new Error(`GameType não suportado: ${parsed.tags.GameType}.`);
+    }
+    let start;
+    try {
+        start = parsed.tags.FEN ? parsePdnFen(parsed.tags.FEN, variant) : undefined;
+    } catch (error) {
+        res.status(400); throw error;
+    }
+    const validation = validatePdnMoves(parsed.moves, start, variant);
+    res.json({
+        valid: validation.valid,
+        variant: variant.id,
+        tags: parsed.tags,
+        result: parsed.result || parsed.tags.Result || '*',
+        moveCount: parsed.moves.length,
+        firstIllegalMove: validation.error,
+        boardState: JSON.stringify(validation.board),
+    });
+});
+
+// --- Análise ---
+// Profundidades e limites de tempo do motor para a análise de posições e de partidas terminadas
+const ANALYSIS = {
+    defaultDepth: 6,
+    maxDepth: 10,
+    timeLimitMs: 2000,
+    gameDepth: 4,
+    gamePlyTimeLimitMs: 150,
+};
+
+// Análises de posição em curso por utilizador: cada uma ocupa um worker do motor durante segundos
+const positionAnalysisInFlight = new Set();
+// Anotações de partidas em curso por jogo: pedidos simultâneos esperam pelo mesmo cálculo
+const gameAnalysisJobs = new Map();
+
+const analyzeBoard = asyncHandler(async (req, res) => {
+    const { boardState, sideToMove, variant = DEFAULT_VARIANT, depth = ANALYSIS.defaultDepth } = req.body;
+    if (!VARIANTS[variant]) { res.status(400); throw new Error('Variante inválida.'); }
+    if (!['white', 'black'].includes(sideToMove)) { res.status(400); throw new Error("sideToMove deve ser 'white' ou 'black'."); }
+    const searchDepth = Number(depth);
+    if (!Number.isInteger(searchDepth) || searchDepth < 1 || searchDepth > ANALYSIS.maxDepth) {
+        res.status(400); throw new Error(`A profundidade deve estar entre 1 e ${ANALYSIS.maxDepth}.`);
+    }
+    let board;
+    try {
+        board = JSON.parse(boardState);
+    } catch (error) {
+        res.status(400); throw new Error('boardState inválido.');
+    }
+    const boardError = validateBoard(board, getVariant(variant));
+    if (boardError) { res.status(400); throw new Error(boardError); }
+
+    // Sem ajudas do motor durante partidas a dinheiro (as partidas de treino são permitidas)
+    const liveGame = await Game.exists({ players: req.user._id, status: 'ongoing', isPractice: { $ne: true } });
+    if (liveGame) { res.status(403); throw new Error('A análise não está disponível durante uma partida com aposta.'); }
+
+    const userId = req.user._id.toString();
+    if (positionAnalysisInFlight.has(userId)) { res.status(429); throw new Error('Aguarde o fim da análise anterior.'); }
+    if (isEngineSaturated()) { res.status(503); throw new Error('O motor está ocupado. Tente novamente dentro de momentos.'); }
+    positionAnalysisInFlight.add(userId);
+    try {
+        const analysis = await runEngineTask('analyzePosition', {
+            board, color: sideToMove, variant, options: { depth: searchDepth, timeLimitMs: ANALYSIS.timeLimitMs },
+        });
+        res.json({ variant, sideToMove, ...analysis });
+    } finally {
+        positionAnalysisInFlight.delete(userId);
+    }
+});
+
+// Corre a anotação da partida no motor e grava-a no jogo
+const computeGameAnalysis = async (game) => {
+    // Os registos seguem para o worker como JSON simples (sem ObjectIds)
+    const records = JSON.parse(JSON.stringify(game.moves));
+    const plies = await runEngineTask('analyzeGameMoves', {
+        records, variant: game.variant, options: { depth: ANALYSIS.gameDepth, timeLimitMs: ANALYSIS.gamePlyTimeLimitMs },
+    }, { timeoutMs: 10 * 1000 + records.length * ANALYSIS.gamePlyTimeLimitMs * 2 });
+    const analysis = {
+        depth: ANALYSIS.gameDepth,
+        analyzedAt: new Date(),
+        moves: plies.map((ply, i) => ({ ...ply, player: game.moves[i].player })),
+    };
+    await Game.updateOne({ _id: game._id }, { analysis });
+    return analysis;
+};
+
+// Anota cada lance de uma partida terminada (best/good/mistake/blunder). O resultado é gravado no jogo.
+const getGameAnalysis = asyncHandler(async (req, res) => {
+    const game = await Game.findById(req.params.id).select('players moves status variant analysis');
+    if (!game) { res.status(404); throw new Error("Jogo não encontrado."); }
+    if (!game.players.some(p => p.equals(req.user._id)) && req.user.role !== 'admin') {
+        res.status(403); throw new Error("Não autorizado a ver este jogo.");
+    }
+    if (game.status !== 'finished') { res.status(400); throw new Error("A análise só está disponível para partidas terminadas."); }
+
+    let analysis = game.analysis?.analyzedAt ? game.analysis : null;
+    if (!analysis) {
+        const gameId = game._id.toString();
+        if (!gameAnalysisJobs.has(gameId)) {
+            if (isEngineSaturated()) { res.status(503); throw new Error('O motor está ocupado. Tente novamente dentro de momentos.'); }
+            gameAnalysisJobs.set(gameId, computeGameAnalysis(game).finally(() => gameAnalysisJobs.delete(gameId)));
+        }
+        analysis = await gameAnalysisJobs.get(gameId);
+    }
+
+    const summary = {};
+    for (const playerId of game.players) {
+        const counts = { best: 0, good: 0, mistake: 0, blunder: 0 };
+        analysis.moves.filter(m => m.player && m.player.equals(playerId)).forEach(m => { counts[m.classification] += 1; });
+        summary[playerId] = counts;
+    }
+    res.json({
+        gameId: game._id,
+        variant: getVariant(game.variant).id,
+        depth: analysis.depth,
+        analyzedAt: analysis.analyzedAt,
+        summary,
+        moves: analysis.moves,
+    });
+});
+
+// Partidas de treino por terminar que cada utilizador pode ter ao mesmo tempo (cada lance do bot gasta CPU)
+const MAX_ACTIVE_PRACTICE_GAMES = 2;
+
+// Cria uma partida de treino sem aposta contra o bot. O jogo começa com o `playersReady` do jogador.
+const createPracticeGame = asyncHandler(async (req, res) => {
+    const { level = DEFAULT_BOT_LEVEL, variant = DEFAULT_VARIANT, timeControl = null, color = 'random' } = req.body;
+    if (!BOT_LEVELS[level]) { res.status(400); throw new Error('Nível do bot inválido.'); }
+    if (!VARIANTS[variant]) { res.status(400); throw new Error('Variante inválida.'); }
+    if (timeControl && !TIME_CONTROL_PRESETS[timeControl]) { res.status(400); throw new Error('Controlo de tempo inválido.'); }
+    if (!['white', 'black', 'random'].includes(color)) { res.status(400); throw new Error('Cor inválida.'); }
+
+    // Uma partida de treino que nunca começou não custa nada: é substituída pela nova
+    await Game.updateMany(
+        { players: req.user._id, isPractice: true, status: 'waiting_players' },
+        { status: 'cancelled', endReason: 'abandonment' }
+    );
+    const activePractice = await Game.countDocuments({ players: req.user._id, isPractice: true, status: 'ongoing' });
+    if (activePractice >= MAX_ACTIVE_PRACTICE_GAMES) {
+        res.status(429); throw new Error(`Já tem ${activePractice} partidas de treino a decorrer. Termine ou abandone uma antes de começar outra.`);
+    }
+
+    const botId = await getBotUserId();
+    const playerColor = color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : color;
+    const [whiteId, blackId] = playerColor === 'white' ? [req.user._id, botId] : [botId, req.user._id];
+    const game = buildNewGame({
+        whiteId, blackId,
+        betAmount: 0,
+        // Sem controlo de tempo a partida não tem relógio
+        timeControl: timeControl ? TIME_CONTROL_PRESETS[timeControl] : { initial: 0, increment: 0 },
+        variant,
+    });
+    game.isPractice = true;
+    game.botLevel = level;
+    await game.save();
+    res.status(201).json({ gameId: game._id, color: playerColor, level, variant, timeControl: game.timeControl });
+});
+
+// Jogos a decorrer que podem ser assistidos
+const getLiveGames = asyncHandler(async (req, res) => {
+    const io = req.app.get('socketio');
+    const games = await Game.find({ status: 'ongoing', isPractice: { $ne: true } })
+        .populate('player1.id', 'username avatar rating.value')
+        .populate('player2.id', 'username avatar rating.value')
+        .sort({ updatedAt: -1 })
+        .limit(50)
+        .select('player1 player2 variant betAmount timeControl moves createdAt');
+    res.json(games.map(game => ({
+        _id: game._id,
+        player1: game.player1,
+        player2: game.player2,
+        variant: getVariant(game.variant).id,
+        betAmount: game.betAmount,
+        timeControl: game.timeControl,
+        moveCount: game.moves.length,
+        spectators: getSpectatorCount(io, game.id),
+        createdAt: game.createdAt,
+    })));
+});
+
 const getActiveGameNotification = asyncHandler(async (req, res) => {
     const activeGame = await Game.findOne({ players: req.user._id, status: 'ongoing' });
     if(activeGame) res.json({ hasActiveGame: true, gameId: activeGame._id }); else res.json({ hasActiveGame: false });
@@ -544,6 +2954,7 @@ const requestDeposit = asyncHandler(async (req, res) => {
     const { amount, method, transactionRef } = req.body;
     const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
     if (!amount || !method || !transactionRef) { res.status(400); throw new Error("Campos obrigatórios."); }
+    assertEmailVerified(req, res);
     if (settings && (amount < settings.minDeposit || amount > settings.maxDeposit)) {
         res.status(400); throw new Error(`Depósito entre ${settings.minDeposit} e ${settings.maxDeposit} MT.`);
     }
@@ -556,14 +2967,29 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user._id);
     const settings = await AdminSettings.findOne({ singleton: 'main_settings' });
     if (!amount || !method || !accountNumber) { res.status(400); throw new Error("Campos obrigatórios."); }
+    assertEmailVerified(req, res);
+    await assertFreshTwoFactor(req, res);
     if (settings && (amount < settings.minWithdrawal || amount > settings.maxWithdrawal)) {
         res.status(400); throw new Error(`Levantamento entre ${settings.minWithdrawal} e ${settings.maxWithdrawal} MT.`);
     }
     if (user.balance < amount) { res.status(400); throw new Error("Saldo insuficiente."); }
-    user.balance -= amount;
-    await user.save();
-    const withdrawal = await Withdrawal.create({ user: req.user._id, amount, method, accountNumber });
-    res.status(201).json({ message: 'Pedido de levantamento enviado.', withdrawal });
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const withdrawal = (await Withdrawal.create([{ user: req.user._id, amount, method, accountNumber }], { session }))[0];
+        await postLedgerTransaction({
+            type: 'withdrawal_hold',
+            entries: [{ account: 'user', user: user._id, amount: -withdrawal.amount }, { account: 'withdrawal_hold', amount: withdrawal.amount }],
+            reference: { kind: 'Withdrawal', id: withdrawal._id }, description: `Levantamento pendente via ${method}`, session
+        });
+        await session.commitTransaction();
+        res.status(201).json({ message: 'Pedido de levantamento enviado.', withdrawal });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400); throw error;
+    } finally {
+        session.endSession();
+    }
 });
 
 const getTransactionHistory = asyncHandler(async (req, res) => {
@@ -572,26 +2998,225 @@ const getTransactionHistory = asyncHandler(async (req, res) => {
     res.json({ deposits, withdrawals });
 });
 
+// Extrato do utilizador: movimentos da sua conta no livro-razão, do mais recente para o mais antigo
+const getAccountStatement = asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { account: 'user', user: req.user._id };
+    const [entries, total] = await Promise.all([
+        LedgerEntry.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+            .select('transactionId type amount balanceAfter reference description createdAt'),
+        LedgerEntry.countDocuments(filter),
+    ]);
+    res.json({ entries, page, pages: Math.ceil(total / limit), total, balance: req.user.balance });
+});
+
 const getPaymentInstructions = asyncHandler(async (req, res) => {
     const settings = await AdminSettings.findOne({ singleton: 'main_settings' }).select('paymentInstructions');
     if(settings) res.json(settings.paymentInstructions); else res.status(404).json({ message: "Instruções não configuradas."});
 });
 
+const getTimeControls = asyncHandler(async (req, res) => {
+    res.json({ presets: TIME_CONTROL_PRESETS, default: DEFAULT_TIME_CONTROL });
+});
+
+const getVariants = asyncHandler(async (req, res) => {
+    const variants = Object.values(VARIANTS).map(({ id, name, size, firstColor }) => ({ id, name, size, firstColor }));
+    res.json({ variants, default: DEFAULT_VARIANT });
+});
+
+const getBotLevels = asyncHandler(async (req, res) => {
+    const levels = Object.values(BOT_LEVELS).map(({ id, name }) => ({ id, name }));
+    res.json({ levels, default: DEFAULT_BOT_LEVEL });
+});
+
+// --- Torneios ---
+const TOURNAMENT_LIST_FIELDS = 'name format variant timeControl entryFee maxPlayers minPlayers startsAt prizeDistribution totalRounds status players.user startedAt finishedAt';
+
+const formatTournamentSummary = (tournament) => ({
+    _id: tournament._id,
+    name: tournament.name,
+    format: tournament.format,
+    variant: tournament.variant,
+    timeControl: tournament.timeControl,
+    entryFee: tournament.entryFee,
+    maxPlayers: tournament.maxPlayers,
+    minPlayers: tournament.minPlayers,
+    playerCount: tournament.players.length,
+    startsAt: tournament.startsAt,
+    prizeDistribution: tournament.prizeDistribution,
+    totalRounds: tournament.totalRounds,
+    status: tournament.status,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt,
+});
+
+// Torneios em inscrições e a decorrer (?status= para filtrar, ex.: finished)
+const getTournaments = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const filter = status ? { status } : { status: { $in: ['registration', 'ongoing'] } };
+    const tournaments = await Tournament.find(filter).sort({ startsAt: status === 'finished' ? -1 : 1 }).limit(50).select(TOURNAMENT_LIST_FIELDS);
+    res.json(tournaments.map(formatTournamentSummary));
+});
+
+// Detalhes com a classificação atual, as rondas e os prémios pagos
+const getTournamentDetails = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Torneio não encontrado.'); }
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) { res.status(404); throw new Error('Torneio não encontrado.'); }
+    const ranking = rankTournamentPlayers(tournament);
+    await tournament.populate([
+        { path: 'players.user', select: 'username avatar rating.value' },
+        { path: 'rounds.pairings.white rounds.pairings.black rounds.pairings.winner payouts.user', select: 'username avatar' },
+    ]);
+    res.json({
+        ...formatTournamentSummary(tournament),
+        prizePool: tournament.status === 'finished' ? tournament.prizePool : roundMoney(tournament.entryFee * tournament.players.length),
+        platformFee: tournament.platformFee,
+        payouts: tournament.payouts,
+        standings: ranking.map(({ player, buchholz }, i) => ({
+            place: i + 1,
+            user: player.user,
+            seed: player.seed,
+            score: player.score,
+            buchholz,
+            byes: player.byes,
+            eliminated: player.eliminated,
+        })),
+        rounds: tournament.rounds,
+        isRegistered: tournament.players.some(p => p.user._id.equals(req.user._id)),
+    });
+});
+
+// Inscrição: a taxa passa do saldo para a custódia do torneio
+const registerForTournament = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Torneio não encontrado.'); }
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const tournament = await Tournament.findOneAndUpdate(
+            {
+                _id: req.params.id,
+                status: 'registration',
+                startsAt: { $gt: new Date() },
+                'players.user': { $ne: req.user._id },
+                $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] },
+            },
+            { $push: { players: { user: req.user._id, rating: req.user.rating.value } } },
+            { new: true, session }
+        );
+        if (!tournament) throw new Error('Inscrições fechadas, torneio cheio ou já está inscrito.');
+        await escrowStake(req.user._id, tournament.entryFee, { kind: 'Tournament', id: tournament._id }, session, 'Inscrição em torneio');
+        await session.commitTransaction();
+        res.status(201).json({ message: 'Inscrição confirmada.', tournament: formatTournamentSummary(tournament) });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+});
+
+// Desistência antes do início, com devolução da taxa de inscrição
+const unregisterFromTournament = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Torneio não encontrado.'); }
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const tournament = await Tournament.findOneAndUpdate(
+            { _id: req.params.id, status: 'registration', 'players.user': req.user._id },
+            { $pull: { players: { user: req.user._id } } },
+            { new: true, session }
+        );
+        if (!tournament) throw new Error('Não está inscrito ou o torneio já começou.');
+        await refundStake(req.user._id, tournament.entryFee, { kind: 'Tournament', id: tournament._id }, session, 'Devolução de inscrição em torneio');
+        await session.commitTransaction();
+        res.json({ message: 'Inscrição cancelada e taxa devolvida.', refund: tournament.entryFee });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+});
+
+// --- Notificações ---
+const getNotifications = asyncHandler(async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') query.read = false;
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+        Notification.countDocuments({ user: req.user._id, read: false }),
+    ]);
+    res.json({ notifications, unreadCount });
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Notificação não encontrada.'); }
+    const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id },
+        { read: true, readAt: new Date() },
+        { new: true }
+    );
+    if (!notification) { res.status(404); throw new Error('Notificação não encontrada.'); }
+    res.json(notification);
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany({ user: req.user._id, read: false }, { read: true, readAt: new Date() });
+    res.json({ message: 'Notificações marcadas como lidas.', updated: result.modifiedCount });
+});
+
 // --- 10. CONTROLADORES DE ADMINISTRAÇÃO ---
+// Avisa o utilizador do bloqueio e termina as ligações em tempo real (o REST já é recusado por protect)
+const notifyAccountBlocked = async (io, userId) => {
+    await notifyUser(io, userId, {
+        type: 'account_blocked',
+        title: 'Conta bloqueada',
+        message: 'A sua conta foi bloqueada por um administrador. Contacte o suporte para mais informações.',
+    });
+    queueUserEmail(userId, 'account_blocked');
+    await revokeSessions(io, { user: userId }, 'account_blocked');
+    io.in(userId.toString()).disconnectSockets(true);
+};
+
 const adminGetAllUsers = asyncHandler(async (req, res) => {
     const users = await User.find({}).select('-password').sort({ createdAt: -1 });
     res.json(users);
 });
 const adminToggleUserBlock = asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id);
-    if(user){ user.isBlocked = !user.isBlocked; await user.save(); res.json({ message: `Utilizador ${user.isBlocked ? 'bloqueado' : 'desbloqueado'}.` });}
+    if(user){
+        user.isBlocked = !user.isBlocked; await user.save();
+        if (user.isBlocked) await notifyAccountBlocked(req.app.get('socketio'), user._id);
+        res.json({ message: `Utilizador ${user.isBlocked ? 'bloqueado' : 'desbloqueado'}.` });
+    }
     else { res.status(404); throw new Error('Utilizador não encontrado.'); }
 });
 const adminAdjustUserBalance = asyncHandler(async (req, res) => {
-    const { amount } = req.body;
+    const { amount, reason } = req.body;
+    const adjustment = Number(amount);
+    if (!adjustment) { res.status(400); throw new Error('Valor de ajuste inválido.'); }
     const user = await User.findById(req.params.id);
-    if(user){ user.balance += Number(amount); await user.save(); res.json({ message: `Saldo ajustado. Novo saldo: ${user.balance.toFixed(2)} MT.` });}
-    else { res.status(404); throw new Error('Utilizador não encontrado.'); }
+    if (!user) { res.status(404); throw new Error('Utilizador não encontrado.'); }
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        await postLedgerTransaction({
+            type: 'adjustment',
+            entries: [{ account: 'adjustments', amount: -adjustment }, { account: 'user', user: user._id, amount: adjustment }],
+            description: reason || 'Ajuste manual de saldo', createdBy: req.user._id, allowOverdraft: true, session
+        });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400); throw error;
+    } finally {
+        session.endSession();
+    }
+    const updated = await User.findById(user._id).select('balance');
+    res.json({ message: `Saldo ajustado. Novo saldo: ${updated.balance.toFixed(2)} MT.` });
 });
 const adminGetDeposits = asyncHandler(async (req, res) => {
     const deposits = await Deposit.find({}).populate('user', 'username email').sort({ createdAt: -1 });
@@ -599,17 +3224,42 @@ const adminGetDeposits = asyncHandler(async (req, res) => {
 });
 const adminProcessDeposit = asyncHandler(async (req, res) => {
     const { status } = req.body;
-    const deposit = await Deposit.findById(req.params.id);
-    if (!deposit || deposit.status !== 'pending') { res.status(400); throw new Error('Pedido não encontrado ou já processado.'); }
-    if (status === 'approved') {
-        const user = await User.findById(deposit.user);
-        user.balance += deposit.amount;
-        await user.save();
-        deposit.status = 'approved';
-    } else { deposit.status = 'rejected'; }
-    deposit.processedBy = req.user._id;
-    await deposit.save();
-    res.json({ message: `Depósito ${status}.`, deposit });
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const deposit = await Deposit.findById(req.params.id).session(session);
+        if (!deposit || deposit.status !== 'pending') throw new Error('Pedido não encontrado ou já processado.');
+        if (status === 'approved') {
+            await postLedgerTransaction({
+                type: 'deposit',
+                entries: [{ account: 'external', amount: -deposit.amount }, { account: 'user', user: deposit.user, amount: deposit.amount }],
+                reference: { kind: 'Deposit', id: deposit._id }, description: `Depósito via ${deposit.method}`,
+                createdBy: req.user._id, session
+            });
+            deposit.status = 'approved';
+        } else { deposit.status = 'rejected'; }
+        deposit.processedBy = req.user._id;
+        await deposit.save({ session });
+        await session.commitTransaction();
+        const approved = deposit.status === 'approved';
+        notifyUser(req.app.get('socketio'), deposit.user, {
+            type: approved ? 'deposit_approved' : 'deposit_rejected',
+            title: approved ? 'Depósito aprovado' : 'Depósito rejeitado',
+            message: approved
+                ? `O seu depósito de ${deposit.amount} MT via ${deposit.method} foi creditado.`
+                : `O seu depósito de ${deposit.amount} MT via ${deposit.method} foi rejeitado.`,
+            data: { depositId: deposit._id, amount: deposit.amount },
+        });
+        queueUserEmail(deposit.user, approved ? 'deposit_approved' : 'deposit_rejected', {
+            amount: formatAmount(deposit.amount), method: deposit.method, transactionRef: deposit.transactionRef,
+        });
+        res.json({ message: `Depósito ${status}.`, deposit });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400); throw error;
+    } finally {
+        session.endSession();
+    }
 });
 const adminGetWithdrawals = asyncHandler(async (req, res) => {
     const withdrawals = await Withdrawal.find({}).populate('user', 'username email').sort({ createdAt: -1 });
@@ -617,18 +3267,49 @@ const adminGetWithdrawals = asyncHandler(async (req, res) => {
 });
 const adminProcessWithdrawal = asyncHandler(async (req, res) => {
     const { status } = req.body;
-    const withdrawal = await Withdrawal.findById(req.params.id);
-    if (!withdrawal || withdrawal.status !== 'pending') { res.status(400); throw new Error('Pedido não encontrado ou já processado.'); }
-    if (status === 'approved') { withdrawal.status = 'approved'; }
-    else {
-        const user = await User.findById(withdrawal.user);
-        user.balance += withdrawal.amount;
-        await user.save();
-        withdrawal.status = 'rejected';
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const withdrawal = await Withdrawal.findById(req.params.id).session(session);
+        if (!withdrawal || withdrawal.status !== 'pending') throw new Error('Pedido não encontrado ou já processado.');
+        const reference = { kind: 'Withdrawal', id: withdrawal._id };
+        if (status === 'approved') {
+            await postLedgerTransaction({
+                type: 'withdrawal_payout',
+                entries: [{ account: 'withdrawal_hold', amount: -withdrawal.amount }, { account: 'external', amount: withdrawal.amount }],
+                reference, description: `Levantamento pago via ${withdrawal.method}`, createdBy: req.user._id, session
+            });
+            withdrawal.status = 'approved';
+        } else {
+            await postLedgerTransaction({
+                type: 'withdrawal_release',
+                entries: [{ account: 'withdrawal_hold', amount: -withdrawal.amount }, { account: 'user', user: withdrawal.user, amount: withdrawal.amount }],
+                reference, description: 'Levantamento rejeitado: valor devolvido', createdBy: req.user._id, session
+            });
+            withdrawal.status = 'rejected';
+        }
+        withdrawal.processedBy = req.user._id;
+        await withdrawal.save({ session });
+        await session.commitTransaction();
+        const approved = withdrawal.status === 'approved';
+        notifyUser(req.app.get('socketio'), withdrawal.user, {
+            type: approved ? 'withdrawal_approved' : 'withdrawal_rejected',
+            title: approved ? 'Levantamento pago' : 'Levantamento rejeitado',
+            message: approved
+                ? `O seu levantamento de ${withdrawal.amount} MT via ${withdrawal.method} foi pago.`
+                : `O seu levantamento de ${withdrawal.amount} MT foi rejeitado e o valor voltou ao seu saldo.`,
+            data: { withdrawalId: withdrawal._id, amount: withdrawal.amount },
+        });
+        queueUserEmail(withdrawal.user, approved ? 'withdrawal_approved' : 'withdrawal_rejected', {
+            amount: formatAmount(withdrawal.amount), method: withdrawal.method, accountNumber: withdrawal.accountNumber,
+        });
+        res.json({ message: `Levantamento ${status}.`, withdrawal });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400); throw error;
+    } finally {
+        session.endSession();
     }
-    withdrawal.processedBy = req.user._id;
-    await withdrawal.save();
-    res.json({ message: `Levantamento ${status}.`, withdrawal });
 });
 const adminGetAllGames = asyncHandler(async (req, res) => {
     const games = await Game.find({}).populate('players', 'username').sort({ createdAt: -1 });
@@ -637,9 +3318,190 @@ const adminGetAllGames = asyncHandler(async (req, res) => {
 const adminGetDashboardStats = asyncHandler(async (req, res) => {
     const totalDeposited = (await Deposit.aggregate([{ $match: { status: 'approved' } }, { $group: { _id: null, total: { $sum: '$amount' } } }]))[0]?.total || 0;
     const totalWithdrawn = (await Withdrawal.aggregate([{ $match: { status: 'approved' } }, { $group: { _id: null, total: { $sum: '$amount' } } }]))[0]?.total || 0;
-    const totalPlatformFees = (await Game.aggregate([{ $match: { status: 'finished', winner: { $ne: null } } }, { $group: { _id: null, total: { $sum: '$platformFee' } } }]))[0]?.total || 0;
+    const totalPlatformFees = (await Game.aggregate([{ $match: { status: 'finished' } }, { $group: { _id: null, total: { $sum: '$platformFee' } } }]))[0]?.total || 0;
     res.json({ totalDeposited, totalWithdrawn, totalPlatformFees });
 });
+// Reconciliação: prova que User.balance é igual à soma das pernas 'user' do livro-razão
+// e que todas as transações estão equilibradas, e aponta a custódia que ficou por liquidar
+// em jogos, salas ou torneios já terminados.
+const adminGetLedgerReconciliation = asyncHandler(async (req, res) => {
+    const ledgerSums = await LedgerEntry.aggregate([
+        { $match: { account: 'user' } },
+        { $group: { _id: '$user', total: { $sum: '$amount' } } }
+    ]);
+    const sumByUser = new Map(ledgerSums.map(s => [s._id.toString(), s.total]));
+    const users = await User.find({}).select('username balance');
+    const mismatches = users
+        .map(u => ({ userId: u._id, username: u.username, balance: u.balance, ledgerBalance: roundMoney(sumByUser.get(u._id.toString()) || 0) }))
+        .filter(u => Math.abs(u.balance - u.ledgerBalance) >= 0.01)
+        .map(u => ({ ...u, difference: roundMoney(u.balance - u.ledgerBalance) }));
+
+    const unbalancedTransactions = await LedgerEntry.aggregate([
+        { $group: { _id: '$transactionId', total: { $sum: '$amount' } } },
+        { $match: { $or: [{ total: { $gte: 0.01 } }, { total: { $lte: -0.01 } }] } }
+    ]);
+    const accountBalances = await LedgerEntry.aggregate([
+        { $group: { _id: '$account', total: { $sum: '$amount' } } }
+    ]);
+
+    // A custódia de cada jogo, sala ou torneio tem de voltar a zero quando ele termina
+    const escrowByReference = await LedgerEntry.aggregate([
+        { $match: { account: 'escrow' } },
+        { $group: { _id: { kind: '$reference.kind', id: '$reference.id' }, total: { $sum: '$amount' } } },
+        { $match: { $or: [{ total: { $gte: 0.01 } }, { total: { $lte: -0.01 } }] } }
+    ]);
+    const idsOfKind = (kind) => escrowByReference.filter(e => e._id.kind === kind).map(e => e._id.id);
+    const [games, lobbies, tournaments] = await Promise.all([
+        Game.find({ _id: { $in: idsOfKind('Game') } }).select('status rematch.status'),
+        LobbyRoom.find({ _id: { $in: idsOfKind('LobbyRoom') } }).select('status'),
+        Tournament.find({ _id: { $in: idsOfKind('Tournament') } }).select('status'),
+    ]);
+    const settled = new Set([
+        // Uma proposta de revanche pendente mantém a aposta de quem propôs no jogo terminado
+        ...games.filter(g => ['finished', 'cancelled'].includes(g.status) && g.rematch?.status !== 'offered'),
+        ...lobbies.filter(l => l.status !== 'waiting'),
+        ...tournaments.filter(t => ['finished', 'cancelled'].includes(t.status)),
+    ].map(doc => doc._id.toString()));
+    const unsettledEscrow = escrowByReference
+        .filter(e => !e._id.kind || !e._id.id || settled.has(e._id.id.toString()))
+        .map(e => ({ reference: e._id, escrowBalance: roundMoney(e.total) }));
+
+    res.json({
+        balanced: mismatches.length === 0 && unbalancedTransactions.length === 0 && unsettledEscrow.length === 0,
+        usersChecked: users.length,
+        mismatches,
+        unbalancedTransactions: unbalancedTransactions.map(t => ({ transactionId: t._id, total: t.total })),
+        unsettledEscrow,
+        accountBalances: Object.fromEntries(accountBalances.map(a => [a._id, roundMoney(a.total)])),
+    });
+});
+
+// Migração única: regista como saldo de abertura a diferença entre User.balance e o livro-razão
+// para utilizadores que ainda não têm saldo de abertura (saldos anteriores à introdução do livro-razão).
+const adminPostOpeningBalances = asyncHandler(async (req, res) => {
+    const alreadyOpened = await LedgerEntry.distinct('user', { type: 'opening_balance', account: 'user' });
+    const users = await User.find({ _id: { $nin: alreadyOpened } }).select('balance');
+    let posted = 0;
+    for (const user of users) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            const ledgerTotal = (await LedgerEntry.aggregate([
+                { $match: { account: 'user', user: user._id } },
+                { $group: { _id: null, total: { $sum: '$amount' } } }
+            ]).session(session))[0]?.total || 0;
+            const difference = roundMoney(user.balance - ledgerTotal);
+            if (difference !== 0) {
+                // O saldo já inclui esta diferença: regista a perna sem voltar a alterar User.balance
+                const transactionId = new mongoose.Types.ObjectId().toString();
+                await LedgerEntry.insertMany([
+                    { transactionId, type: 'opening_balance', account: 'opening_balances', amount: -difference, description: 'Saldo de abertura', createdBy: req.user._id },
+                    { transactionId, type: 'opening_balance', account: 'user', user: user._id, amount: difference, balanceAfter: user.balance, description: 'Saldo de abertura', createdBy: req.user._id },
+                ], { session });
+                posted++;
+            }
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+    res.json({ message: `Saldos de abertura registados para ${posted} utilizador(es).` });
+});
+
+// Mensagens do chat denunciadas (?status=pending por omissão, ou reviewed)
+const adminGetReportedChatMessages = asyncHandler(async (req, res) => {
+    const status = req.query.status === 'reviewed' ? 'reviewed' : 'pending';
+    const messages = await ChatMessage.find({ 'review.status': status })
+        .populate('sender', 'username email isBlocked chatMutedUntil')
+        .populate('reports.reporter', 'username')
+        .populate('review.reviewedBy', 'username')
+        .sort({ updatedAt: -1 })
+        .limit(100);
+    res.json(messages);
+});
+
+// Resolve uma denúncia: dismiss (mantém a mensagem), hide (esconde-a), mute (esconde e silencia o
+// remetente durante `muteMinutes`) ou block (esconde e bloqueia a conta com isBlocked)
+const adminReviewChatMessage = asyncHandler(async (req, res) => {
+    const { action, muteMinutes = 60 } = req.body;
+    if (!['dismiss', 'hide', 'mute', 'block'].includes(action)) { res.status(400); throw new Error('Ação inválida.'); }
+    const minutes = Number(muteMinutes);
+    if (action === 'mute' && !(minutes > 0)) { res.status(400); throw new Error('Duração do silenciamento inválida.'); }
+    const message = await ChatMessage.findById(req.params.id);
+    if (!message) { res.status(404); throw new Error('Mensagem não encontrada.'); }
+    const sender = await User.findById(message.sender);
+    if (!sender) { res.status(404); throw new Error('Utilizador não encontrado.'); }
+
+    const io = req.app.get('socketio');
+    if (action !== 'dismiss' && !message.hidden) {
+        message.hidden = true;
+        io.to(message.game ? message.game.toString() : LOBBY_CHAT_ROOM).emit('chatMessageHidden', { messageId: message._id });
+    }
+    if (action === 'mute') {
+        sender.chatMutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        await sender.save();
+    } else if (action === 'block') {
+        sender.isBlocked = true;
+        await sender.save();
+        await notifyAccountBlocked(io, sender._id);
+    }
+    message.review = { status: 'reviewed', action, reviewedBy: req.user._id, reviewedAt: new Date() };
+    await message.save();
+    res.json({ message: 'Denúncia resolvida.', chatMessage: message });
+});
+
+// Cria um torneio. prizeDistribution são as percentagens do prémio líquido por lugar e têm de somar 100.
+const adminCreateTournament = asyncHandler(async (req, res) => {
+    const {
+        name, format, entryFee = 0, maxPlayers, minPlayers = 2, startsAt, prizeDistribution = [100],
+        rounds = null, timeControl = DEFAULT_TIME_CONTROL, variant = DEFAULT_VARIANT,
+    } = req.body;
+    const startDate = new Date(startsAt);
+    if (!name || !String(name).trim()) { res.status(400); throw new Error('O torneio precisa de um nome.'); }
+    if (!['knockout', 'swiss'].includes(format)) { res.status(400); throw new Error('Formato inválido (knockout ou swiss).'); }
+    if (!(entryFee >= 0)) { res.status(400); throw new Error('Taxa de inscrição inválida.'); }
+    if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > 256) { res.status(400); throw new Error('Número máximo de jogadores inválido (2 a 256).'); }
+    if (!Number.isInteger(minPlayers) || minPlayers < 2 || minPlayers > maxPlayers) { res.status(400); throw new Error('Número mínimo de jogadores inválido.'); }
+    if (isNaN(startDate) || startDate <= new Date()) { res.status(400); throw new Error('A data de início tem de ser futura.'); }
+    if (!TIME_CONTROL_PRESETS[timeControl]) { res.status(400); throw new Error('Controlo de tempo inválido.'); }
+    if (!VARIANTS[variant]) { res.status(400); throw new Error('Variante inválida.'); }
+    if (!Array.isArray(prizeDistribution) || prizeDistribution.length === 0 || prizeDistribution.length > maxPlayers
+        || prizeDistribution.some(share => !(share > 0))
+        || Math.abs(prizeDistribution.reduce((sum, share) => sum + share, 0) - 100) > 0.01) {
+        res.status(400); throw new Error('A distribuição de prémios tem de ter percentagens positivas que somem 100.');
+    }
+    if (rounds !== null && (format !== 'swiss' || !Number.isInteger(rounds) || rounds < 1 || rounds > 20)) {
+        res.status(400); throw new Error('O número de rondas só se define no suíço (1 a 20).');
+    }
+
+    const tournament = await Tournament.create({
+        name: String(name).trim(),
+        format,
+        variant,
+        timeControl: TIME_CONTROL_PRESETS[timeControl],
+        entryFee,
+        maxPlayers,
+        minPlayers,
+        startsAt: startDate,
+        prizeDistribution,
+        totalRounds: rounds,
+        createdBy: req.user._id,
+    });
+    res.status(201).json(tournament);
+});
+
+// Cancela um torneio que ainda não começou e devolve as inscrições
+const adminCancelTournament = asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) { res.status(404); throw new Error('Torneio não encontrado.'); }
+    const cancelled = await withTournamentLock(req.params.id, () =>
+        cancelTournamentRegistration(req.app.get('socketio'), req.params.id, 'O torneio foi cancelado pela administração.'));
+    if (!cancelled) { res.status(400); throw new Error('Só é possível cancelar torneios que ainda não começaram.'); }
+    res.json({ message: 'Torneio cancelado e inscrições devolvidas.', refunds: cancelled.players.length });
+});
+
 const adminGetSettings = asyncHandler(async (req, res) => {
     let settings = await AdminSettings.findOne({ singleton: 'main_settings' });
     if (!settings) settings = await AdminSettings.create({});
@@ -653,9 +3515,19 @@ const adminUpdateSettings = asyncHandler(async (req, res) => {
 // --- 11. EXPORTAÇÕES ---
 module.exports = {
     protect, admin,
-    handleAcceptChallenge, handlePlayerMove, finishGame,
-    registerUser, loginUser, forgotPassword, resetPassword, getUserProfile, updateUserProfile, uploadAvatar, getPublicProfile, getRanking,
-    createLobbyRoom, getPublicLobbies, findPrivateLobbyByCode, getGameHistory, getGameDetails, getActiveGameNotification,
-    requestDeposit, requestWithdrawal, getTransactionHistory, getPaymentInstructions,
+    handleAcceptChallenge, handleDeclineChallenge, handlePlayerMove, handlePlayersReady, handleDrawOffer, handleDrawResponse, finishGame, restoreGameClocks, restoreBotMoves,
+    restoreAbandonmentTimers, isUserInGameRoom, handlePlayerDisconnect, handlePlayerReconnect, handleSpectateGame, handleLeaveSpectating,
+    handleOfferRematch, handleAcceptRematch, handleDeclineRematch, restoreRematchOffers,
+    handleJoinMatchmaking, handleLeaveMatchmaking, runMatchmaking,
+    handleChatMessage, handleChatHistory, sweepChatRateLimits, handleMuteChatUser, handleReportChatMessage, emitPresence,
+    getSessionRoom, registerUser, loginUser, verifyLoginTwoFactor, refreshAccessToken, logoutUser, getSessions, revokeSession, revokeAllSessions, setupTwoFactor, enableTwoFactor, regenerateRecoveryCodes, disableTwoFactor,
+    verifyEmail, resendEmailVerification, requestEmailChange, confirmEmailChange, forgotPassword, resetPassword, getUserProfile, updateUserProfile, uploadAvatar, getPublicProfile, getRatingHistory, getRanking,
+    getFriends, sendFriendRequest, acceptFriendRequest, deleteFriendRequest, removeFriend, createDirectChallenge, getDirectChallenges,
+    createLobbyRoom, cancelLobbyRoom, sweepExpiredLobbies, getPublicLobbies, findPrivateLobbyByCode, getGameHistory, getGameDetails, getGameReplay, exportGamePdn, exportGameHistoryPdn, importPdn, createPracticeGame, analyzeBoard, getGameAnalysis, getLiveGames, getActiveGameNotification,
+    getTournaments, getTournamentDetails, registerForTournament, unregisterFromTournament, runTournaments,
+    getNotifications, markNotificationRead, markAllNotificationsRead,
+    requestDeposit, requestWithdrawal, getTransactionHistory, getAccountStatement, getPaymentInstructions, getTimeControls, getVariants, getBotLevels,
     adminGetAllUsers, adminToggleUserBlock, adminAdjustUserBalance, adminGetDeposits, adminProcessDeposit, adminGetWithdrawals, adminProcessWithdrawal, adminGetAllGames, adminGetDashboardStats, adminGetSettings, adminUpdateSettings,
+    adminGetLedgerReconciliation, adminPostOpeningBalances, adminGetReportedChatMessages, adminReviewChatMessage, adminCreateTournament, adminCancelTournament,
+    postLedgerTransaction, escrowStake, refundStake, processMailQueue,
 };
\ No newline at end of file
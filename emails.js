@@ -0,0 +1,287 @@
+// emails.js
+
+// =================================================================
+// --- MODELOS DE EMAIL (pt-MZ / en) ---
+// =================================================================
+// Cada modelo devolve, por idioma, o assunto, o título e os parágrafos do email; o layout comum
+// da BrainSkill é aplicado por renderEmail(). Os valores recebidos são sempre escapados.
+
+const SUPPORTED_LOCALES = ['pt-MZ', 'en'];
+const DEFAULT_LOCALE = 'pt-MZ';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const unescapeHtml = (value) => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+const formatAmount = (amount) => `${Number(amount).toFixed(2)} MT`;
+
+// --- 1. LAYOUT ---
+const FOOTERS = {
+    'pt-MZ': 'Este é um email automático, por favor não responda.',
+    en: 'This is an automated email, please do not reply.',
+};
+
+const renderLayout = ({ locale, heading, paragraphs, code }) => `
+    <div style="font-family: 'Poppins', sans-serif; background-color: #f4f4f4; padding: 20px; text-align: center;">
+        <div style="max-width: 600px; margin: auto; background-color: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 10px rgba(0,0,0,0.1);">
+            <div style="background-color: #4a2c2a; color: white; padding: 20px;">
+                <h1 style="margin: 0; font-size: 28px;">BrainSkill</h1>
+            </div>
+            <div style="padding: 30px; color: #555; text-align: left; line-height: 1.6;">
+                <h2 style="color: #4a2c2a;">${heading}</h2>
+                ${paragraphs.map(p => `<p>${p}</p>`).join('\n                ')}
+                ${code ? `<div style="text-align: center; margin: 30px 0;">
+                    <span style="display: inline-block; background-color: #8b5e3c; color: white; padding: 15px 30px; font-size: 24px; letter-spacing: 5px; border-radius: 5px;">
+                        ${code}
+                    </span>
+                </div>` : ''}
+            </div>
+            <div style="background-color: #f0e5d8; color: #8b5e3c; padding: 15px; font-size: 12px;">© ${new Date().getFullYear()} BrainSkill. ${FOOTERS[locale]}</div>
+        </div>
+    </div>`;
+
+// Versão em texto simples para clientes de email sem HTML
+const renderText = ({ locale, heading, paragraphs, code }) => [
+    unescapeHtml(heading),
+    '',
+    ...paragraphs.map(p => unescapeHtml(p.replace(/<[^>]+>/g, ''))),
+    ...(code ? ['', code] : []),
+    '',
+    `© ${new Date().getFullYear()} BrainSkill. ${FOOTERS[locale]}`,
+].join('\n');
+
+// --- 2. MODELOS ---
+// `v` chega já com os valores escapados
+const TEMPLATES = {
+    welcome: {
+        'pt-MZ': (v) => ({
+            subject: 'Bem-vindo à BrainSkill!',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [
+                'A sua conta foi criada com sucesso. Já pode depositar, criar salas e desafiar jogadores de todo o país.',
+                'Boa sorte nas suas partidas!',
+            ],
+        }),
+        en: (v) => ({
+            subject: 'Welcome to BrainSkill!',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [
+                'Your account has been created. You can now deposit, create rooms and challenge players from all over the country.',
+                'Good luck in your games!',
+            ],
+        }),
+    },
+    email_verification: {
+        'pt-MZ': (v) => ({
+            subject: 'Confirme o seu email - BrainSkill',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [
+                `Use o código abaixo para confirmar o seu email. Este código é válido por <strong>${v.minutes} minutos</strong>.`,
+                ...(v.link ? [`Também pode abrir este link: ${v.link}`] : []),
+                'Enquanto o email não estiver confirmado não é possível depositar nem levantar.',
+            ],
+            code: v.code,
+        }),
+        en: (v) => ({
+            subject: 'Confirm your email - BrainSkill',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [
+                `Use the code below to confirm your email. This code is valid for <strong>${v.minutes} minutes</strong>.`,
+                ...(v.link ? [`You can also open this link: ${v.link}`] : []),
+                'Deposits and withdrawals are disabled until your email is confirmed.',
+            ],
+            code: v.code,
+        }),
+    },
+    account_exists: {
+        'pt-MZ': (v) => ({
+            subject: 'Tentativa de registo com o seu email - BrainSkill',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [
+                'Alguém tentou criar uma nova conta BrainSkill com este email, mas ele já pertence à sua conta.',
+                'Se foi você, inicie sessão ou recupere a senha. Se não foi, pode ignorar este email.',
+            ],
+        }),
+        en: (v) => ({
+            subject: 'Sign-up attempt with your email - BrainSkill',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [
+                'Someone tried to create a new BrainSkill account with this email, but it already belongs to your account.',
+                'If this was you, log in or reset your password. If not, you can ignore this email.',
+            ],
+        }),
+    },
+    email_change_old: {
+        'pt-MZ': (v) => ({
+            subject: 'Pedido de alteração de email - BrainSkill',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [
+                `Foi pedido que o email da sua conta passe a ser <strong>${v.newEmail}</strong>. Para confirmar, use o código abaixo juntamente com o código enviado para o novo endereço.`,
+                'Se não foi você, não partilhe este código e altere a sua senha.',
+            ],
+            code: v.code,
+        }),
+        en: (v) => ({
+            subject: 'Email change request - BrainSkill',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [
+                `A request was made to change your account email to <strong>${v.newEmail}</strong>. To confirm, use the code below together with the code sent to the new address.`,
+                'If this was not you, do not share this code and change your password.',
+            ],
+            code: v.code,
+        }),
+    },
+    email_change_new: {
+        'pt-MZ': (v) => ({
+            subject: 'Confirme o novo email - BrainSkill',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [`Use o código abaixo, juntamente com o código enviado para o email atual, para confirmar este endereço. Válido por <strong>${v.minutes} minutos</strong>.`],
+            code: v.code,
+        }),
+        en: (v) => ({
+            subject: 'Confirm your new email - BrainSkill',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [`Use the code below, together with the code sent to your current email, to confirm this address. Valid for <strong>${v.minutes} minutes</strong>.`],
+            code: v.code,
+        }),
+    },
+    password_reset: {
+        'pt-MZ': (v) => ({
+            subject: 'Recuperação de Senha - BrainSkill',
+            heading: `Olá, ${v.username}!`,
+            paragraphs: [
+                `Use o código abaixo para criar uma nova senha. Este código é válido por <strong>${v.minutes} minutos</strong>.`,
+                'Se não foi você, pode ignorar este e-mail.',
+            ],
+            code: v.token,
+        }),
+        en: (v) => ({
+            subject: 'Password Recovery - BrainSkill',
+            heading: `Hello, ${v.username}!`,
+            paragraphs: [
+                `Use the code below to set a new password. This code is valid for <strong>${v.minutes} minutes</strong>.`,
+                'If this was not you, you can ignore this email.',
+            ],
+            code: v.token,
+        }),
+    },
+    deposit_approved: {
+        'pt-MZ': (v) => ({
+            subject: 'Depósito aprovado - BrainSkill',
+            heading: 'Depósito aprovado',
+            paragraphs: [`Olá, ${v.username}. O seu depósito de <strong>${v.amount}</strong> via ${v.method} foi creditado no seu saldo.`],
+        }),
+        en: (v) => ({
+            subject: 'Deposit approved - BrainSkill',
+            heading: 'Deposit approved',
+            paragraphs: [`Hello, ${v.username}. Your deposit of <strong>${v.amount}</strong> via ${v.method} has been credited to your balance.`],
+        }),
+    },
+    deposit_rejected: {
+        'pt-MZ': (v) => ({
+            subject: 'Depósito rejeitado - BrainSkill',
+            heading: 'Depósito rejeitado',
+            paragraphs: [
+                `Olá, ${v.username}. O seu depósito de <strong>${v.amount}</strong> via ${v.method} (referência ${v.transactionRef}) foi rejeitado.`,
+                'Se acha que se trata de um erro, contacte o suporte com o comprovativo da transferência.',
+            ],
+        }),
+        en: (v) => ({
+            subject: 'Deposit rejected - BrainSkill',
+            heading: 'Deposit rejected',
+            paragraphs: [
+                `Hello, ${v.username}. Your deposit of <strong>${v.amount}</strong> via ${v.method} (reference ${v.transactionRef}) was rejected.`,
+                'If you believe this is a mistake, contact support with the transfer receipt.',
+            ],
+        }),
+    },
+    withdrawal_approved: {
+        'pt-MZ': (v) => ({
+            subject: 'Levantamento pago - BrainSkill',
+            heading: 'Levantamento pago',
+            paragraphs: [`Olá, ${v.username}. O seu levantamento de <strong>${v.amount}</strong> foi enviado para o número ${v.accountNumber} (${v.method}).`],
+        }),
+        en: (v) => ({
+            subject: 'Withdrawal paid - BrainSkill',
+            heading: 'Withdrawal paid',
+            paragraphs: [`Hello, ${v.username}. Your withdrawal of <strong>${v.amount}</strong> was sent to ${v.accountNumber} (${v.method}).`],
+        }),
+    },
+    withdrawal_rejected: {
+        'pt-MZ': (v) => ({
+            subject: 'Levantamento rejeitado - BrainSkill',
+            heading: 'Levantamento rejeitado',
+            paragraphs: [`Olá, ${v.username}. O seu levantamento de <strong>${v.amount}</strong> foi rejeitado e o valor voltou ao seu saldo.`],
+        }),
+        en: (v) => ({
+            subject: 'Withdrawal rejected - BrainSkill',
+            heading: 'Withdrawal rejected',
+            paragraphs: [`Hello, ${v.username}. Your withdrawal of <strong>${v.amount}</strong> was rejected and the amount is back in your balance.`],
+        }),
+    },
+    large_win: {
+        'pt-MZ': (v) => ({
+            subject: 'Grande vitória! - BrainSkill',
+            heading: `Parabéns, ${v.username}!`,
+            paragraphs: [`Venceu ${v.opponent} e ganhou <strong>${v.prize}</strong>. O prémio já está no seu saldo.`],
+        }),
+        en: (v) => ({
+            subject: 'Big win! - BrainSkill',
+            heading: `Congratulations, ${v.username}!`,
+            paragraphs: [`You beat ${v.opponent} and won <strong>${v.prize}</strong>. The prize is already in your balance.`],
+        }),
+    },
+    password_changed: {
+        'pt-MZ': (v) => ({
+            subject: 'A sua senha foi alterada - BrainSkill',
+            heading: 'Senha alterada',
+            paragraphs: [
+                `Olá, ${v.username}. A senha da sua conta foi alterada em ${v.date}.`,
+                'Se não foi você, recupere a senha imediatamente e contacte o suporte.',
+            ],
+        }),
+        en: (v) => ({
+            subject: 'Your password was changed - BrainSkill',
+            heading: 'Password changed',
+            paragraphs: [
+                `Hello, ${v.username}. Your account password was changed on ${v.date}.`,
+                'If this was not you, reset your password immediately and contact support.',
+            ],
+        }),
+    },
+    account_blocked: {
+        'pt-MZ': (v) => ({
+            subject: 'Conta bloqueada - BrainSkill',
+            heading: 'Conta bloqueada',
+            paragraphs: [`Olá, ${v.username}. A sua conta foi bloqueada por um administrador. Contacte o suporte para mais informações.`],
+        }),
+        en: (v) => ({
+            subject: 'Account blocked - BrainSkill',
+            heading: 'Account blocked',
+            paragraphs: [`Hello, ${v.username}. Your account has been blocked by an administrator. Please contact support for more information.`],
+        }),
+    },
+};
+
+// --- 3. RENDERIZAÇÃO ---
+const resolveLocale = (locale) => SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+// Devolve { subject, html, text } do modelo no idioma pedido (pt-MZ se o idioma não existir)
+function renderEmail(template, locale, vars = {}) {
+    const definition = TEMPLATES[template];
+    if (!definition) throw new Error(`Modelo de email desconhecido: ${template}`);
+    const lang = resolveLocale(locale);
+    // Datas no fuso de Moçambique e no formato do idioma
+    const format = (value) => value instanceof Date
+        ? value.toLocaleString(lang === 'en' ? 'en-GB' : 'pt-PT', { timeZone: 'Africa/Maputo' })
+        : value;
+    const escaped = Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, escapeHtml(format(value))]));
+    const content = definition[lang](escaped);
+    const parts = { locale: lang, ...content };
+    return { subject: content.subject, html: renderLayout(parts), text: renderText(parts) };
+}
+
+module.exports = { SUPPORTED_LOCALES, DEFAULT_LOCALE, TEMPLATES, formatAmount, renderEmail };
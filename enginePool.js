@@ -0,0 +1,92 @@
+// enginePool.js
+
+// =================================================================
+// --- POOL DE WORKERS DO MOTOR ---
+// =================================================================
+// As pesquisas do bot e da análise demoram até alguns segundos de CPU: correm em worker_threads para
+// não bloquear os sockets, os relógios e os pedidos HTTP. O número de workers vem de ENGINE_WORKERS
+// (por omissão, um por núcleo menos o do servidor). As tarefas em excesso esperam numa fila limitada.
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const ENGINE_POOL = {
+    size: Number(process.env.ENGINE_WORKERS) || Math.max(1, os.cpus().length - 1),
+    maxQueued: 50,
+    // Limite absoluto por tarefa (por omissão): o worker que o ultrapasse é terminado e substituído
+    taskTimeoutMs: 15 * 1000,
+};
+
+const WORKER_FILE = path.join(__dirname, 'engineWorker.js');
+const idleWorkers = [];
+const queue = [];
+let workerCount = 0;
+let nextTaskId = 1;
+
+const spawnWorker = () => {
+    const worker = new Worker(WORKER_FILE);
+    workerCount += 1;
+    worker.on('message', ({ id, result, error }) => {
+        const job = worker.currentJob;
+        if (!job || job.id !== id) return;
+        clearTimeout(job.timer);
+        worker.currentJob = null;
+        if (error) job.reject(new Error(error));
+        else job.resolve(result);
+        releaseWorker(worker);
+    });
+    worker.on('error', (error) => retireWorker(worker, error));
+    worker.on('exit', () => retireWorker(worker, new Error('O worker do motor terminou inesperadamente.')));
+    return worker;
+};
+
+// Um worker que falhou ou excedeu o tempo sai do pool; a tarefa em curso é rejeitada
+const retireWorker = (worker, error) => {
+    if (worker.retired) return;
+    worker.retired = true;
+    workerCount -= 1;
+    const index = idleWorkers.indexOf(worker);
+    if (index !== -1) idleWorkers.splice(index, 1);
+    if (worker.currentJob) {
+        clearTimeout(worker.currentJob.timer);
+        worker.currentJob.reject(error);
+        worker.currentJob = null;
+    }
+    worker.terminate().catch(() => {});
+    dispatch();
+};
+
+// Um worker parado não impede o processo de terminar
+const releaseWorker = (worker) => {
+    worker.unref();
+    idleWorkers.push(worker);
+    dispatch();
+};
+
+const dispatch = () => {
+    while (queue.length > 0) {
+        let worker = idleWorkers.pop();
+        if (!worker) {
+            if (workerCount >= ENGINE_POOL.size) return;
+            worker = spawnWorker();
+        }
+        const job = queue.shift();
+        worker.currentJob = job;
+        worker.ref();
+        job.timer = setTimeout(() => retireWorker(worker, new Error('A pesquisa do motor excedeu o tempo limite.')), job.timeoutMs);
+        worker.postMessage({ id: job.id, task: job.task, args: job.args });
+    }
+};
+
+// True quando a fila está cheia e uma nova tarefa seria recusada
+const isEngineSaturated = () => queue.length >= ENGINE_POOL.maxQueued;
+
+// Corre `task` (ver engineWorker.js) num worker e devolve uma promessa com o resultado
+const runEngineTask = (task, args, { timeoutMs = ENGINE_POOL.taskTimeoutMs } = {}) => new Promise((resolve, reject) => {
+    if (isEngineSaturated()) return reject(new Error('O motor está ocupado. Tente novamente dentro de momentos.'));
+    queue.push({ id: nextTaskId++, task, args, timeoutMs, resolve, reject });
+    dispatch();
+});
+
+module.exports = { ENGINE_POOL, runEngineTask, isEngineSaturated };
@@ -0,0 +1,25 @@
+// engineWorker.js
+
+// =================================================================
+// --- WORKER DO MOTOR ---
+// =================================================================
+// Corre as pesquisas do motor fora do event loop do servidor. Recebe { id, task, args } e responde
+// com { id, result } ou { id, error }. As variantes viajam pelo id e os tabuleiros como arrays simples.
+
+const { parentPort } = require('worker_threads');
+const { getVariant, chooseBotMove, analyzePosition, analyzeGameMoves } = require('./gameEngine.js');
+
+const TASKS = {
+    chooseBotMove: ({ board, color, variant, level }) => chooseBotMove(board, color, getVariant(variant), level),
+    analyzePosition: ({ board, color, variant, options }) => analyzePosition(board, color, getVariant(variant), options),
+    analyzeGameMoves: ({ records, variant, options }) => analyzeGameMoves(records, getVariant(variant), options),
+};
+
+parentPort.on('message', ({ id, task, args }) => {
+    try {
+        if (!TASKS[task]) throw new Error(`Tarefa do motor desconhecida: ${task}`);
+        parentPort.postMessage({ id, result: TASKS[task](args) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,745 @@
+// gameEngine.js
+
+// =================================================================
+// --- MOTOR DE REGRAS DAS DAMAS (VARIANTES) ---
+// =================================================================
+// Tabuleiro: matriz NxN com 'w'/'b' (pedras), 'W'/'B' (damas) ou null. A linha 0 é o lado das
+// pretas e as brancas avançam para a linha 0. Todas as funções recebem o objeto da variante;
+// sem ele aplicam-se as regras da Dama Brasileira.
+
+// --- 1. VARIANTES ---
+// promotionDuringCapture: 'none' (a pedra só é promovida se terminar o lance na última linha),
+// 'continue' (é promovida ao passar pela última linha e continua a capturar como dama) ou
+// 'stop' (ao chegar à última linha a captura termina e a pedra é promovida).
+// drawRules: contagens em meios-lances para o empate automático (null desativa a regra).
+const VARIANTS = {
+    brazilian: {
+        id: 'brazilian',
+        name: 'Dama Brasileira',
+        size: 8,
+        rowsPerSide: 3,
+        firstColor: 'white',
+        flyingKings: true,
+        menCaptureBackward: true,
+        mandatoryMaxCapture: true,
+        promotionDuringCapture: 'none',
+        pdnGameType: '26',
+        drawRules: { repetitions: 3, kingMovesPlies: 40, shortEndgamePlies: 10, longEndgamePlies: 32 },
+    },
+    international: {
+        id: 'international',
+        name: 'Damas Internacionais (10x10)',
+        size: 10,
+        rowsPerSide: 4,
+        firstColor: 'white',
+        flyingKings: true,
+        menCaptureBackward: true,
+        mandatoryMaxCapture: true,
+        promotionDuringCapture: 'none',
+        pdnGameType: '20',
+        drawRules: { repetitions: 3, kingMovesPlies: 50, shortEndgamePlies: 10, longEndgamePlies: 32 },
+    },
+    russian: {
+        id: 'russian',
+        name: 'Damas Russas',
+        size: 8,
+        rowsPerSide: 3,
+        firstColor: 'white',
+        flyingKings: true,
+        menCaptureBackward: true,
+        mandatoryMaxCapture: false,
+        promotionDuringCapture: 'continue',
+        pdnGameType: '25',
+        drawRules: { repetitions: 3, kingMovesPlies: 30, shortEndgamePlies: null, longEndgamePlies: 30 },
+    },
+    english: {
+        id: 'english',
+        name: 'Damas Inglesas (Checkers)',
+        size: 8,
+        rowsPerSide: 3,
+        firstColor: 'black',
+        flyingKings: false,
+        menCaptureBackward: false,
+        mandatoryMaxCapture: false,
+        promotionDuringCapture: 'stop',
+        pdnGameType: '21',
+        drawRules: { repetitions: 3, kingMovesPlies: 80, shortEndgamePlies: null, longEndgamePlies: null },
+    },
+};
+const DEFAULT_VARIANT = 'brazilian';
+
+const getVariant = (id) => VARIANTS[id] || VARIANTS[DEFAULT_VARIANT];
+
+const oppositeColor = (color) => color === 'white' ? 'black' : 'white';
+
+// --- 2. GERAÇÃO DE LANCES ---
+// O tabuleiro público continua a ser a matriz de strings gravada em Game.boardState, mas a geração
+// trabalha sobre um Int8Array plano (índice = linha * size + coluna) e explora as sequências de
+// captura com fazer/desfazer, sem clonar o tabuleiro a cada salto.
+const PIECE_CODES = { w: 1, W: 2, b: -1, B: -2 };
+const CODE_PIECES = { 1: 'w', 2: 'W', '-1': 'b', '-2': 'B' };
+const DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+const initializeBoard = (variant = getVariant()) => {
+    const { size, rowsPerSide } = variant;
+    const board = Array(size).fill(null).map(() => Array(size).fill(null));
+    for (let r = 0; r < rowsPerSide; r++) { for (let c = 0; c < size; c++) { if ((r + c) % 2 !== 0) board[r][c] = 'b'; } }
+    for (let r = size - rowsPerSide; r < size; r++) { for (let c = 0; c < size; c++) { if ((r + c) % 2 !== 0) board[r][c] = 'w'; } }
+    return board;
+};
+
+const toCompactBoard = (board) => {
+    const size = board.length;
+    const cells = new Int8Array(size * size);
+    for (let r = 0; r < size; r++) { for (let c = 0; c < size; c++) {
+        if (board[r][c]) cells[r * size + c] = PIECE_CODES[board[r][c]];
+    }}
+    return cells;
+};
+
+const fromCompactBoard = (cells, size) => {
+    const board = Array(size).fill(null).map(() => Array(size).fill(null));
+    for (let i = 0; i < cells.length; i++) if (cells[i]) board[(i / size) | 0][i % size] = CODE_PIECES[cells[i]];
+    return board;
+};
+
+const toSquare = (index, size) => ({ row: (index / size) | 0, col: index % size });
+
+// Continua a sequência de captura da peça `piece` que está em `at`. Emite em `out` apenas
+// sequências completas; `path`/`captures` são pilhas partilhadas (fazer/desfazer).
+function collectCaptures(cells, size, origin, at, piece, variant, path, captures, promotes, out) {
+    const r = (at / size) | 0, c = at % size;
+    const isWhite = piece > 0;
+    const isKing = piece === 2 || piece === -2;
+    const promotionRow = isWhite ? 0 : size - 1;
+    const forwardDir = isWhite ? -1 : 1;
+    let jumped = false;
+
+    const jump = (over, landR, landC) => {
+        jumped = true;
+        const land = landR * size + landC;
+        const captured = cells[over];
+        cells[at] = 0; cells[over] = 0;
+        path.push(land); captures.push(over);
+        const reachesPromotion = !isKing && landR === promotionRow;
+        if (reachesPromotion && variant.promotionDuringCapture === 'stop') {
+            out.push({ origin, path: path.slice(), captures: captures.slice(), promotes });
+        } else {
+            const crowned = reachesPromotion && variant.promotionDuringCapture === 'continue';
+            const moved = crowned ? piece * 2 : piece;
+            cells[land] = moved;
+            collectCaptures(cells, size, origin, land, moved, variant, path, captures, promotes || crowned, out);
+            cells[land] = 0;
+        }
+        path.pop(); captures.pop();
+        cells[over] = captured; cells[at] = piece;
+    };
+
+    for (const [dr, dc] of DIRECTIONS) {
+        if (isKing && variant.flyingKings) {
+            for (let i = 1; ; i++) {
+                const overR = r + dr * i, overC = c + dc * i;
+                if (overR < 0 || overR >= size || overC < 0 || overC >= size) break;
+                const mid = cells[overR * size + overC];
+                if (mid === 0) continue;
+                if ((mid > 0) !== isWhite) {
+                    for (let j = 1; ; j++) {
+                        const landR = overR + dr * j, landC = overC + dc * j;
+                        if (landR < 0 || landR >= size || landC < 0 || landC >= size || cells[landR * size + landC] !== 0) break;
+                        jump(overR * size + overC, landR, landC);
+                    }
+                }
+                break;
+            }
+        } else { // Pedra, ou dama de passo curto
+            if (!isKing && !variant.menCaptureBackward && dr !== forwardDir) continue;
+            const landR = r + dr * 2, landC = c + dc * 2;
+            if (landR < 0 || landR >= size || landC < 0 || landC >= size || cells[landR * size + landC] !== 0) continue;
+            const over = (r + dr) * size + (c + dc);
+            if (cells[over] !== 0 && (cells[over] > 0) !== isWhite) jump(over, landR, landC);
+        }
+    }
+    if (!jumped && path.length > 0) out.push({ origin, path: path.slice(), captures: captures.slice(), promotes });
+}
+
+function collectSimpleMoves(cells, size, at, variant, out) {
+    const piece = cells[at];
+    const r = (at / size) | 0, c = at % size;
+    const isWhite = piece > 0;
+    if (piece === 2 || piece === -2) {
+        const maxDistance = variant.flyingKings ? size - 1 : 1;
+        for (const [dr, dc] of DIRECTIONS) {
+            for (let i = 1; i <= maxDistance; i++) {
+                const newR = r + dr * i, newC = c + dc * i;
+                if (newR < 0 || newR >= size || newC < 0 || newC >= size || cells[newR * size + newC] !== 0) break;
+                out.push({ origin: at, path: [newR * size + newC], captures: [], promotes: false });
+            }
+        }
+    } else {
+        const newR = r + (isWhite ? -1 : 1);
+        if (newR < 0 || newR >= size) return;
+        for (const dc of [-1, 1]) {
+            const newC = c + dc;
+            if (newC >= 0 && newC < size && cells[newR * size + newC] === 0) {
+                out.push({ origin: at, path: [newR * size + newC], captures: [], promotes: false });
+            }
+        }
+    }
+}
+
+// Lances legais em formato compacto ({ origin, path, captures, promotes } com índices)
+function generateCompactMoves(cells, size, playerColor, variant = getVariant()) {
+    const sign = playerColor === 'white' ? 1 : -1;
+    const captures = [];
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] * sign > 0) collectCaptures(cells, size, i, i, cells[i], variant, [], [], false, captures);
+    }
+    if (captures.length > 0) {
+        if (!variant.mandatoryMaxCapture) return captures;
+        let max = 0;
+        for (const m of captures) if (m.captures.length > max) max = m.captures.length;
+        return captures.filter(m => m.captures.length === max);
+    }
+    const simpleMoves = [];
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] * sign > 0) collectSimpleMoves(cells, size, i, variant, simpleMoves);
+    }
+    return simpleMoves;
+}
+
+// Indica se `playerColor` tem pelo menos um lance, sem gerar as sequências completas
+function hasLegalMove(board, playerColor, variant = getVariant()) {
+    const size = board.length;
+    const cells = toCompactBoard(board);
+    const sign = playerColor === 'white' ? 1 : -1;
+    const probe = [];
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] * sign <= 0) continue;
+        collectSimpleMoves(cells, size, i, variant, probe);
+        if (probe.length > 0) return true;
+        collectCaptures(cells, size, i, i, cells[i], variant, [], [], false, probe);
+        if (probe.length > 0) return true;
+    }
+    return false;
+}
+
+// Aplica um lance compacto e devolve o necessário para o desfazer
+function makeCompactMove(cells, size, move) {
+    const piece = cells[move.origin];
+    const to = move.path[move.path.length - 1];
+    const captured = move.captures.map(i => cells[i]);
+    cells[move.origin] = 0;
+    move.captures.forEach(i => { cells[i] = 0; });
+    const isMan = piece === 1 || piece === -1;
+    const promotionRow = piece > 0 ? 0 : size - 1;
+    const promoted = isMan && (((to / size) | 0) === promotionRow || move.promotes);
+    cells[to] = promoted ? piece * 2 : piece;
+    return { piece, captured, promoted };
+}
+
+function unmakeCompactMove(cells, move, undo) {
+    cells[move.path[move.path.length - 1]] = 0;
+    move.captures.forEach((i, k) => { cells[i] = undo.captured[k]; });
+    cells[move.origin] = undo.piece;
+}
+
+// Converte um lance compacto no formato público usado pelos handlers e pelo cliente
+const toMoveObject = (move, size) => {
+    const path = move.path.map(i => toSquare(i, size));
+    return {
+        from: toSquare(move.origin, size),
+        to: path[path.length - 1],
+        path,
+        captures: move.captures.map(i => toSquare(i, size)),
+        ...(move.promotes && { promotes: true }),
+    };
+};
+
+function findAllPossibleMoves(board, playerColor, variant = getVariant()) {
+    const size = board.length;
+    return generateCompactMoves(toCompactBoard(board), size, playerColor, variant).map(m => toMoveObject(m, size));
+}
+
+// Sequências de captura completas de uma peça (sem o filtro da captura máxima)
+function findCaptureSequencesForPiece(board, r, c, variant = getVariant()) {
+    const size = board.length;
+    const cells = toCompactBoard(board);
+    const at = r * size + c;
+    if (!cells[at]) return [];
+    const out = [];
+    collectCaptures(cells, size, at, at, cells[at], variant, [], [], false, out);
+    return out.map(m => {
+        const { path, captures, promotes } = toMoveObject(m, size);
+        return promotes ? { path, captures, promotes } : { path, captures };
+    });
+}
+
+function findSimpleMovesForPiece(board, r, c, variant = getVariant()) {
+    const size = board.length;
+    const out = [];
+    collectSimpleMoves(toCompactBoard(board), size, r * size + c, variant, out);
+    return out.map(m => toMoveObject(m, size));
+}
+
+// Aplica um lance já validado ao tabuleiro (captura e promoção incluídas)
+function applyMove(board, move, playerColor) {
+    const piece = board[move.from.row][move.from.col];
+    board[move.from.row][move.from.col] = null;
+    move.captures.forEach(cap => board[cap.row][cap.col] = null);
+    const promotionRow = playerColor === 'white' ? 0 : board.length - 1;
+    const promoted = piece === piece.toLowerCase() && (move.to.row === promotionRow || !!move.promotes);
+    board[move.to.row][move.to.col] = promoted ? piece.toUpperCase() : piece;
+    return { piece, promoted };
+}
+
+// --- 3. REGRAS DE EMPATE ---
+// Chave compacta da posição (sem '.' nem '$', segura como chave de Map no Mongo)
+const getPositionKey = (board, colorToMove) => board.flat().map(p => p || '-').join('') + colorToMove[0];
+
+// Finais com material reduzido: devolve o limite de meios-lances até ao empate, ou null.
+// Limite curto: até 2 peças (com dama) contra 1 dama, ou damas contra damas com no máximo 2 de cada lado.
+// Limite longo: 3 peças (com dama) contra 1 dama.
+function getEndgameDrawLimit(board, variant = getVariant()) {
+    const { shortEndgamePlies, longEndgamePlies } = variant.drawRules;
+    const count = { w: { men: 0, kings: 0 }, b: { men: 0, kings: 0 } };
+    board.flat().forEach(p => {
+        if (!p) return;
+        const side = count[p.toLowerCase()];
+        if (p === p.toLowerCase()) side.men++; else side.kings++;
+    });
+    for (const [strong, weak] of [['w', 'b'], ['b', 'w']]) {
+        if (count[weak].men !== 0 || count[weak].kings !== 1 || count[strong].kings === 0) continue;
+        const total = count[strong].men + count[strong].kings;
+        if (total <= 2 && shortEndgamePlies) return shortEndgamePlies;
+        if (total === 3 && longEndgamePlies) return longEndgamePlies;
+    }
+    if (shortEndgamePlies && count.w.men === 0 && count.b.men === 0 && count.w.kings <= 2 && count.b.kings <= 2) {
+        return shortEndgamePlies;
+    }
+    return null;
+}
+
+// --- 4. NOTAÇÃO PDN (Portable Draughts Notation) ---
+// Casas escuras numeradas a partir do lado das pretas (linha 0), da esquerda para a direita.
+// A variante é identificada pela tag GameType.
+const PDN_RESULTS = ['2-0', '0-2', '1-1', '1-0', '0-1', '1/2-1/2', '*'];
+
+const getVariantByPdnGameType = (gameType) => Object.values(VARIANTS).find(v => v.pdnGameType === String(gameType).split(',')[0].trim());
+
+const squareToNumber = ({ row, col }, size = 8) => row * (size / 2) + Math.floor(col / 2) + 1;
+const numberToSquare = (n, size = 8) => {
+    const perRow = size / 2;
+    const row = Math.floor((n - 1) / perRow);
+    return { row, col: ((n - 1) % perRow) * 2 + (row % 2 === 0 ? 1 : 0) };
+};
+const sameSquare = (a, b) => a.row === b.row && a.col === b.col;
+const squaresKey = (squares) => squares.map(sq => `${sq.row},${sq.col}`).sort().join(';');
+// Mesmo lance: mesma origem e mesmo caminho (o caminho determina as peças capturadas)
+const sameMove = (a, b) => sameSquare(a.from, b.from) && a.path.length === b.path.length
+    && a.path.every((sq, i) => sameSquare(sq, b.path[i]));
+
+// Casas intermédias indicadas (em ordem, podendo omitir algumas) que pertencem ao caminho do lance
+const followsIntermediates = (move, intermediates) => {
+    let k = 0;
+    for (const sq of move.path) if (k < intermediates.length && sameSquare(sq, intermediates[k])) k++;
+    return k === intermediates.length;
+};
+
+// Dois candidatos só são o mesmo lance se capturam as mesmas peças com o mesmo efeito de promoção
+const isAmbiguous = (candidates) => new Set(candidates.map(m => `${squaresKey(m.captures)}|${!!m.promotes}`)).size > 1;
+
+// Resolve o lance pedido pelo cliente: { from, to } e, para desambiguar capturas múltiplas que
+// terminam na mesma casa, `path` (todas as casas de passagem, com ou sem o destino) ou `captures`
+// (peças capturadas). Ao contrário do PDN, o caminho enviado pelo cliente tem de estar completo.
+// Devolve { move } ou { error: 'illegal' | 'ambiguous' }.
+function resolveRequestedMove(possibleMoves, requested) {
+    if (!requested || !requested.from || !requested.to) return { error: 'illegal' };
+    let candidates = possibleMoves.filter(m => sameSquare(m.from, requested.from) && sameSquare(m.to, requested.to));
+    if (Array.isArray(requested.path)) {
+        const path = requested.path.length > 0 && sameSquare(requested.path[requested.path.length - 1], requested.to)
+            ? requested.path.slice(0, -1) : requested.path;
+        candidates = candidates.filter(m =>
+            m.path.length === path.length + 1 && path.every((sq, i) => sameSquare(sq, m.path[i]))
+        );
+    }
+    if (Array.isArray(requested.captures)) {
+        const captured = squaresKey(requested.captures);
+        candidates = candidates.filter(m => squaresKey(m.captures) === captured);
+    }
+    if (candidates.length === 0) return { error: 'illegal' };
+    if (isAmbiguous(candidates)) return { error: 'ambiguous' };
+    return { move: candidates[0] };
+}
+
+// Encontra o lance legal que corresponde a um lance gravado em Game.moves (origem, destino e peças
+// capturadas; o caminho, gravado desde que o protocolo o aceita, desempata sequências com as mesmas capturas)
+function findRecordedMove(board, playerColor, record, variant = getVariant()) {
+    const captured = squaresKey(record.capturedPieces || []);
+    const candidates = findAllPossibleMoves(board, playerColor, variant).filter(m =>
+        sameSquare(m.from, record.from) && sameSquare(m.to, record.to) && squaresKey(m.captures) === captured
+    );
+    const recordedPath = record.path || [];
+    return (recordedPath.length > 0 && candidates.find(m =>
+        m.path.length === recordedPath.length && m.path.every((sq, i) => sameSquare(sq, recordedPath[i]))
+    )) || candidates[0];
+}
+
+// Capturas com o caminho completo (ex.: 27x18x11); lances simples como 22-18
+const formatPdnMove = (move, size = 8) => move.captures.length > 0
+    ? [move.from, ...move.path].map(sq => squareToNumber(sq, size)).join('x')
+    : `${squareToNumber(move.from, size)}-${squareToNumber(move.to, size)}`;
+
+// Reconstrói a posição após cada meio-lance de Game.moves a partir de initializeBoard().
+// A entrada 0 é a posição inicial; cada entrada seguinte traz o lance completo (caminho, capturas, promoção).
+function replayMoves(records, variant = getVariant()) {
+    const board = initializeBoard(variant);
+    let color = variant.firstColor;
+    const positions = [{ ply: 0, boardState: JSON.stringify(board), toMove: color, move: null }];
+    records.forEach((record, i) => {
+        // Lances gravados são sempre legais; o fallback só protege contra dados inconsistentes
+        const move = findRecordedMove(board, color, record, variant)
+            || { from: record.from, to: record.to, path: record.path && record.path.length > 0 ? record.path : [record.to], captures: record.capturedPieces };
+        const { promoted } = applyMove(board, move, color);
+        const nextColor = oppositeColor(color);
+        positions.push({
+            ply: i + 1,
+            boardState: JSON.stringify(board),
+            toMove: nextColor,
+            move: {
+                color,
+                player: record.player,
+                from: move.from,
+                to: move.to,
+                path: move.path,
+                captures: move.captures,
+                promoted,
+                notation: formatPdnMove(move, variant.size),
+                timestamp: record.timestamp,
+            },
+        });
+        color = nextColor;
+    });
+    return positions;
+}
+
+const getPdnResult = (game) => {
+    if (game.status !== 'finished') return '*';
+    if (!game.winner) return '1-1';
+    const winnerId = game.winner._id || game.winner;
+    const whiteId = game.player1.id._id || game.player1.id;
+    return winnerId.equals(whiteId) ? '2-0' : '0-2';
+};
+
+function renderPdn(game, { white, black }, variant = getVariant()) {
+    const result = getPdnResult(game);
+    const tags = [
+        ['Event', 'BrainSkill'],
+        ['Site', 'BrainSkill'],
+        ['Date', game.createdAt.toISOString().slice(0, 10).replace(/-/g, '.')],
+        ['White', white],
+        ['Black', black],
+        ['Result', result],
+        ['GameType', variant.pdnGameType],
+    ];
+
+    // Numera pelos lances completos, começando pela cor que abre a partida na variante
+    const tokens = [];
+    replayMoves(game.moves, variant).slice(1).forEach(({ ply, move }) => {
+        if (ply % 2 === 1) tokens.push(`${(ply + 1) / 2}.`);
+        tokens.push(move.notation);
+    });
+    tokens.push(result);
+
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > 80) { lines.push(line); line = ''; }
+        line = line ? `${line} ${token}` : token;
+    }
+    if (line) lines.push(line);
+    return `${tags.map(([key, value]) => `[${key} "${value}"]`).join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+// Lê as tags e os lances do primeiro jogo de um texto PDN (comentários e variantes são ignorados)
+function parsePdn(text) {
+    const tags = {};
+    const tagRegex = /\[(\w+)\s+"([^"]*)"\]/g;
+    let match;
+    while ((match = tagRegex.exec(text))) tags[match[1]] = match[2];
+
+    let movetext = text.replace(tagRegex, ' ').replace(/\{[^}]*\}/g, ' ');
+    let previous;
+    do { previous = movetext; movetext = movetext.replace(/\([^()]*\)/g, ' '); } while (movetext !== previous);
+
+    const moves = [];
+    let result = null;
+    for (const token of movetext.split(/\s+/).filter(Boolean)) {
+        if (PDN_RESULTS.includes(token)) { result = token; break; }
+        const cleaned = token.replace(/^\d+\.+/, '').replace(/[!?]+$/, '');
+        if (cleaned) moves.push(cleaned);
+    }
+    return { tags, moves, result };
+}
+
+// Posição inicial a partir da tag FEN (ex.: "W:W21,22,K30:B1-12")
+function parsePdnFen(fen, variant = getVariant()) {
+    const { size } = variant;
+    const lastSquare = size * size / 2;
+    const board = Array(size).fill(null).map(() => Array(size).fill(null));
+    let turn = variant.firstColor;
+    fen.replace(/\.$/, '').split(':').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const head = part[0].toUpperCase();
+        if (head !== 'W' && head !== 'B') throw new Error(`FEN inválido: ${part}`);
+        if (part.length === 1) { turn = head === 'W' ? 'white' : 'black'; return; }
+        const color = head.toLowerCase();
+        part.slice(1).split(',').filter(Boolean).forEach(item => {
+            const isKing = item[0].toUpperCase() === 'K';
+            const [first, last] = (isKing ? item.slice(1) : item).split('-').map(Number);
+            for (let n = first; n <= (last || first); n++) {
+                if (!(n >= 1 && n <= lastSquare)) throw new Error(`FEN inválido: casa ${n}`);
+                const sq = numberToSquare(n, size);
+                board[sq.row][sq.col] = isKing ? color.toUpperCase() : color;
+            }
+        });
+    });
+    return { board, turn };
+}
+
+// Reproduz os lances PDN a partir de `start` e pára no primeiro lance ilegal ou ambíguo
+function validatePdnMoves(tokens, start, variant = getVariant()) {
+    const { board, turn } = start || { board: initializeBoard(variant), turn: variant.firstColor };
+    const lastSquare = variant.size * variant.size / 2;
+    let color = turn;
+    const offset = turn === variant.firstColor ? 0 : 1;
+    for (let i = 0; i < tokens.length; i++) {
+        const notation = tokens[i];
+        const fail = (reason) => ({
+            valid: false, board,
+            error: { ply: i + 1, moveNumber: Math.floor((i + offset) / 2) + 1, color, notation, reason }
+        });
+        const numbers = notation.split(/[-x:]/).map(Number);
+        if (numbers.length < 2 || numbers.some(n => !Number.isInteger(n) || n < 1 || n > lastSquare)) return fail('Notação inválida.');
+        const [from, ...rest] = numbers.map(n => numberToSquare(n, variant.size));
+        const to = rest[rest.length - 1];
+        const intermediates = rest.slice(0, -1);
+
+        const candidates = findAllPossibleMoves(board, color, variant).filter(m =>
+            sameSquare(m.from, from) && sameSquare(m.to, to) && followsIntermediates(m, intermediates)
+        );
+        if (candidates.length === 0) return fail('Lance ilegal.');
+        if (isAmbiguous(candidates)) return fail('Lance ambíguo: indique as casas intermédias da captura.');
+
+        applyMove(board, candidates[0], color);
+        color = oppositeColor(color);
+    }
+    return { valid: true, board, error: null };
+}
+
+// --- 5. AVALIAÇÃO E PESQUISA (BOT) ---
+// Negamax com cortes alfa-beta e aprofundamento iterativo sobre o gerador compacto. As capturas
+// são obrigatórias, por isso a pesquisa não pára numa posição com capturas pendentes (quiescência).
+// No servidor a pesquisa corre num worker (enginePool.js) para não bloquear o event loop.
+const MATE_SCORE = 100000;
+const BOT_LEVELS = {
+    easy: { id: 'easy', name: 'Fácil', depth: 2, timeLimitMs: 200, randomMoveChance: 0.3, scoreMargin: 60 },
+    medium: { id: 'medium', name: 'Médio', depth: 4, timeLimitMs: 500, randomMoveChance: 0.08, scoreMargin: 20 },
+    hard: { id: 'hard', name: 'Difícil', depth: 6, timeLimitMs: 1000, randomMoveChance: 0, scoreMargin: 0 },
+    expert: { id: 'expert', name: 'Mestre', depth: 10, timeLimitMs: 2000, randomMoveChance: 0, scoreMargin: 0 },
+};
+const DEFAULT_BOT_LEVEL = 'medium';
+
+// Avaliação estática em centésimos de pedra, do ponto de vista de `playerColor`
+function evaluateCompact(cells, size, playerColor, variant = getVariant()) {
+    const kingValue = variant.flyingKings ? 300 : 200;
+    let score = 0;
+    for (let i = 0; i < cells.length; i++) {
+        const piece = cells[i];
+        if (!piece) continue;
+        const r = (i / size) | 0, c = i % size;
+        let value;
+        if (piece === 1 || piece === -1) {
+            const advance = piece > 0 ? size - 1 - r : r;
+            const backRank = advance === 0 ? 6 : 0; // pedras na última linha própria atrasam a promoção adversária
+            value = 100 + advance * 3 + backRank;
+        } else {
+            value = kingValue;
+        }
+        if (c > 1 && c < size - 2 && r > 1 && r < size - 2) value += 4;
+        score += piece > 0 ? value : -value;
+    }
+    return playerColor === 'white' ? score : -score;
+}
+
+const evaluatePosition = (board, playerColor, variant = getVariant()) =>
+    evaluateCompact(toCompactBoard(board), board.length, playerColor, variant);
+
+const sameCompactMove = (a, b) => a.origin === b.origin && a.path.length === b.path.length
+    && a.path.every((sq, i) => sq === b.path[i]) && a.captures.every((sq, i) => sq === b.captures[i]);
+
+// Pesquisa a posição até `depth` meios-lances (ou até `timeLimitMs`) e devolve os lances da raiz com
+// a respetiva pontuação, ordenados do melhor para o pior, e a linha principal em formato público.
+function searchPosition(board, playerColor, variant = getVariant(), { depth = 4, timeLimitMs = 1000 } = {}) {
+    const size = board.length;
+    const cells = toCompactBoard(board);
+    const deadline = Date.now() + timeLimitMs;
+    let nodes = 0;
+    let aborted = false;
+
+    const negamax = (color, remaining, alpha, beta, ply) => {
+        nodes++;
+        if ((nodes & 1023) === 0 && Date.now() > deadline) aborted = true;
+        if (aborted) return { score: 0, line: [] };
+        const moves = generateCompactMoves(cells, size, color, variant);
+        if (moves.length === 0) return { score: -(MATE_SCORE - ply), line: [] };
+        const isCapture = moves[0].captures.length > 0;
+        if (remaining <= 0 && !isCapture) return { score: evaluateCompact(cells, size, color, variant), line: [] };
+        if (isCapture) moves.sort((a, b) => b.captures.length - a.captures.length);
+
+        let best = { score: -Infinity, line: [] };
+        for (const move of moves) {
+            const undo = makeCompactMove(cells, size, move);
+            const child = negamax(oppositeColor(color), remaining - 1, -beta, -alpha, ply + 1);
+            unmakeCompactMove(cells, move, undo);
+            if (aborted) return best;
+            const score = -child.score;
+            if (score > best.score) best = { score, line: [move, ...child.line] };
+            if (score > alpha) alpha = score;
+            if (alpha >= beta) break;
+        }
+        return best;
+    };
+
+    let rootMoves = generateCompactMoves(cells, size, playerColor, variant).map(move => ({ move, score: 0, line: [move] }));
+    let completedDepth = 0;
+    for (let d = 1; d <= depth && rootMoves.length > 0; d++) {
+        const scored = [];
+        for (const entry of rootMoves) {
+            const undo = makeCompactMove(cells, size, entry.move);
+            // Janela completa na raiz: as pontuações de todos os lances servem para o nível do bot
+            const child = negamax(oppositeColor(playerColor), d - 1, -Infinity, Infinity, 1);
+            unmakeCompactMove(cells, entry.move, undo);
+            if (aborted) break;
+            scored.push({ move: entry.move, score: -child.score, line: [entry.move, ...child.line] });
+        }
+        if (aborted && completedDepth > 0) break;
+        // Sem nenhuma profundidade completa, as pontuações parciais são melhores do que nenhumas
+        const seen = scored.map(s => s.move);
+        rootMoves = [...scored, ...rootMoves.filter(e => !seen.some(m => sameCompactMove(m, e.move)))]
+            .sort((a, b) => b.score - a.score);
+        completedDepth = d;
+        if (aborted) break;
+        if (Math.abs(rootMoves[0].score) > MATE_SCORE - 1000) break;
+    }
+
+    // A linha é convertida lance a lance para manter as coordenadas corretas após cada jogada
+    const toPublicLine = (line) => line.map(m => toMoveObject(m, size));
+    return {
+        depth: completedDepth,
+        nodes,
+        moves: rootMoves.map(e => ({ move: toMoveObject(e.move, size), score: e.score, line: toPublicLine(e.line) })),
+    };
+}
+
+// Escolhe o lance do bot: nos níveis baixos joga por vezes um lance ao acaso ou um lance
+// próximo do melhor (dentro de `scoreMargin`) para ser batível.
+function chooseBotMove(board, playerColor, variant = getVariant(), levelId = DEFAULT_BOT_LEVEL, random = Math.random) {
+    const level = BOT_LEVELS[levelId] || BOT_LEVELS[DEFAULT_BOT_LEVEL];
+    const legalMoves = findAllPossibleMoves(board, playerColor, variant);
+    if (legalMoves.length === 0) return null;
+    if (legalMoves.length === 1) return legalMoves[0];
+    if (random() < level.randomMoveChance) return legalMoves[Math.floor(random() * legalMoves.length)];
+    const { moves } = searchPosition(board, playerColor, variant, level);
+    const candidates = moves.filter(m => m.score >= moves[0].score - level.scoreMargin);
+    return candidates[Math.floor(random() * candidates.length)].move;
+}
+
+// --- 6. ANÁLISE ---
+// Perdas (em centésimos de pedra, face ao melhor lance) a partir das quais um lance é classificado
+const MOVE_CLASSIFICATION = { bestMargin: 15, mistakeLoss: 80, blunderLoss: 200 };
+
+const isMateScore = (score) => Math.abs(score) > MATE_SCORE - 1000;
+
+// Pontuação pública: valor numérico e, em posições de vitória forçada, o número de meios-lances até ao fim
+const describeScore = (score) => ({
+    score,
+    mateInPlies: isMateScore(score) ? (MATE_SCORE - Math.abs(score)) * Math.sign(score) : null,
+});
+
+// Valida um tabuleiro recebido do cliente (mesmo formato de Game.boardState) para a variante
+function validateBoard(board, variant = getVariant()) {
+    const { size } = variant;
+    if (!Array.isArray(board) || board.length !== size || board.some(row => !Array.isArray(row) || row.length !== size)) {
+        return `O tabuleiro deve ter ${size}x${size} casas.`;
+    }
+    for (let r = 0; r < size; r++) { for (let c = 0; c < size; c++) {
+        const piece = board[r][c];
+        if (piece === null) continue;
+        if (!PIECE_CODES[piece]) return `Peça inválida na casa (${r}, ${c}).`;
+        if ((r + c) % 2 === 0) return `Peça numa casa clara (${r}, ${c}).`;
+    }}
+    return null;
+}
+
+// Lances legais, avaliação estática e linha principal da posição, do ponto de vista de `playerColor`
+function analyzePosition(board, playerColor, variant = getVariant(), options = {}) {
+    const legalMoves = findAllPossibleMoves(board, playerColor, variant);
+    const search = searchPosition(board, playerColor, variant, options);
+    const best = search.moves[0];
+    const notate = (move) => ({ ...move, notation: formatPdnMove(move, variant.size) });
+    return {
+        legalMoves: legalMoves.map(notate),
+        evaluation: evaluatePosition(board, playerColor, variant),
+        best: best ? { ...describeScore(best.score), move: notate(best.move), line: best.line.map(notate) } : null,
+        depth: search.depth,
+        nodes: search.nodes,
+    };
+}
+
+// Classifica um lance jogado comparando a sua pontuação com a do melhor lance da posição
+function classifyMove(bestScore, playedScore) {
+    const loss = bestScore - playedScore;
+    // Deixar escapar uma vitória forçada, ou cair numa derrota forçada, é sempre um erro grave
+    if ((isMateScore(bestScore) && bestScore > 0 && !(isMateScore(playedScore) && playedScore > 0))
+        || (isMateScore(playedScore) && playedScore < 0 && !(isMateScore(bestScore) && bestScore < 0))) return 'blunder';
+    if (loss <= MOVE_CLASSIFICATION.bestMargin) return 'best';
+    if (loss >= MOVE_CLASSIFICATION.blunderLoss) return 'blunder';
+    if (loss >= MOVE_CLASSIFICATION.mistakeLoss) return 'mistake';
+    return 'good';
+}
+
+// Classifica cada lance de uma partida gravada (registos como Game.moves). Devolve, por meio-lance,
+// a classificação, as pontuações do lance jogado e do melhor lance, e o melhor lance em notação PDN.
+function analyzeGameMoves(records, variant = getVariant(), { depth = 4, timeLimitMs = 150 } = {}) {
+    const positions = replayMoves(records, variant);
+    const plies = [];
+    for (let i = 1; i < positions.length; i++) {
+        const before = positions[i - 1];
+        const played = positions[i].move;
+        const search = searchPosition(JSON.parse(before.boardState), before.toMove, variant, { depth, timeLimitMs });
+        const best = search.moves[0];
+        const playedEntry = search.moves.find(m => sameMove(m.move, played));
+        // Um lance gravado que o motor não reconhece (dados inconsistentes) fica sem pontuação própria
+        const playedScore = playedEntry ? playedEntry.score : best.score;
+        plies.push({
+            ply: i,
+            color: played.color,
+            notation: played.notation,
+            classification: classifyMove(best.score, playedScore),
+            playedScore,
+            bestScore: best.score,
+            bestMove: formatPdnMove(best.move, variant.size),
+        });
+    }
+    return plies;
+}
+
+module.exports = {
+    VARIANTS, DEFAULT_VARIANT, getVariant, oppositeColor,
+    initializeBoard, findAllPossibleMoves, findCaptureSequencesForPiece, findSimpleMovesForPiece, applyMove, hasLegalMove,
+    toCompactBoard, fromCompactBoard, generateCompactMoves, makeCompactMove, unmakeCompactMove, toMoveObject,
+    getPositionKey, getEndgameDrawLimit,
+    getVariantByPdnGameType, squareToNumber, numberToSquare, sameSquare, squaresKey, sameMove,
+    resolveRequestedMove, findRecordedMove, formatPdnMove, replayMoves, renderPdn, parsePdn, parsePdnFen, validatePdnMoves,
+    BOT_LEVELS, DEFAULT_BOT_LEVEL, evaluatePosition, searchPosition, chooseBotMove,
+    MOVE_CLASSIFICATION, describeScore, validateBoard, analyzePosition, classifyMove, analyzeGameMoves,
+};
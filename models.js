@@ -16,21 +16,63 @@ const UserSchema = new mongoose.Schema({
     },
     balance: { type: Number, default: 0.00 },
     bio: { type: String, maxlength: 250, default: '' },
-    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // Idioma dos emails
+    locale: { type: String, enum: ['pt-MZ', 'en'], default: 'pt-MZ' },
+    role: { type: String, enum: ['user', 'admin', 'bot'], default: 'user' },
     isBlocked: { type: Boolean, default: false },
     paymentInfo: {
         mpesaNumber: { type: String, default: '' },
         emolaNumber: { type: String, default: '' }
     },
+    // Autenticação de dois fatores (TOTP): segredo cifrado, códigos de recuperação em hash e o último
+    // passo de tempo aceite (um código não pode ser usado duas vezes). Nunca saem nas consultas normais.
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false },
+        recoveryCodes: { type: [String], select: false },
+        lastUsedStep: { type: Number, select: false }
+    },
+    // Contas criadas antes da verificação de email não têm o campo e contam como verificadas
+    emailVerified: { type: Boolean },
+    emailVerification: {
+        codeHash: { type: String, select: false },
+        expiresAt: { type: Date },
+        sentAt: { type: Date },
+        attempts: { type: Number }
+    },
+    // Troca de email pendente: só é aplicada com os códigos enviados ao endereço atual e ao novo
+    emailChange: {
+        newEmail: { type: String },
+        oldCodeHash: { type: String, select: false },
+        newCodeHash: { type: String, select: false },
+        expiresAt: { type: Date },
+        sentAt: { type: Date },
+        attempts: { type: Number }
+    },
     resetPasswordToken: { type: String },
     resetPasswordExpires: { type: Date },
+    // Códigos de recuperação errados desde o último pedido; no limite o código é invalidado
+    resetPasswordAttempts: { type: Number },
     stats: {
         wins: { type: Number, default: 0 },
         losses: { type: Number, default: 0 },
         draws: { type: Number, default: 0 },
         totalWinnings: { type: Number, default: 0 }
     },
-    socketId: { type: String, default: null }
+    // Rating Glicko-2 (escala clássica); desvio alto indica rating provisório
+    rating: {
+        value: { type: Number, default: 1500 },
+        deviation: { type: Number, default: 350 },
+        volatility: { type: Number, default: 0.06 },
+        games: { type: Number, default: 0 },
+        lastRatedAt: { type: Date, default: null }
+    },
+    socketId: { type: String, default: null },
+    // Chat: silenciamento imposto por um admin e utilizadores cujas mensagens este utilizador não quer ver
+    chatMutedUntil: { type: Date, default: null },
+    mutedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
 }, { timestamps: true });
 
 // Middleware para hashear a senha antes de salvar
@@ -48,8 +90,38 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+UserSchema.index({ 'rating.value': -1 });
+UserSchema.index({ mutedUsers: 1 });
+
 const User = mongoose.model('User', UserSchema);
 
+// =============================
+// ESQUEMA DE SESSÃO (SESSION)
+// =============================
+// Uma sessão por dispositivo. O refresh token só é guardado em hash e muda a cada utilização;
+// voltar a apresentar o anterior indica uma cópia roubada e revoga a sessão.
+const SessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'revoked_all', 'token_reuse', 'password_reset', 'account_blocked', null],
+        default: null
+    }
+}, { timestamps: true });
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessões expiradas são apagadas pelo MongoDB uma semana depois
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', SessionSchema);
+
 // =============================
 // ESQUEMA DA SALA DE LOBBY (LOBBYROOM)
 // =============================
@@ -57,14 +129,41 @@ const LobbyRoomSchema = new mongoose.Schema({
     creator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     betAmount: { type: Number, required: true, min: 1 },
     status: { type: String, enum: ['waiting', 'playing', 'cancelled'], default: 'waiting' },
-    gameType: { type: String, enum: ['public', 'private'], default: 'public' },
+    // 'direct': desafio enviado a um amigo específico (invitedUser), válido até expiresAt
+    gameType: { type: String, enum: ['public', 'private', 'direct'], default: 'public' },
+    invitedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    expiresAt: { type: Date, default: null },
     privateCode: { type: String, unique: true, sparse: true },
     message: { type: String, maxlength: 100, default: '' },
+    variant: { type: String, enum: ['brazilian', 'international', 'russian', 'english'], default: 'brazilian' },
+    // Controlo de tempo em segundos: tempo inicial por jogador + incremento por lance
+    timeControl: {
+        initial: { type: Number, default: 600 },
+        increment: { type: Number, default: 5 }
+    },
     gameId: { type: mongoose.Schema.Types.ObjectId, ref: 'Game' }
 }, { timestamps: true });
 
+LobbyRoomSchema.index({ invitedUser: 1, status: 1 });
+
 const LobbyRoom = mongoose.model('LobbyRoom', LobbyRoomSchema);
 
+// =============================
+// ESQUEMA DE AMIZADE (FRIENDSHIP)
+// =============================
+// Um documento por par de utilizadores: 'pending' até o destinatário aceitar o pedido
+const FriendshipSchema = new mongoose.Schema({
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['pending', 'accepted'], default: 'pending' },
+    acceptedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+FriendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+FriendshipSchema.index({ recipient: 1, status: 1 });
+
+const Friendship = mongoose.model('Friendship', FriendshipSchema);
+
 // =============================
 // ESQUEMA DO JOGO (GAME)
 // =============================
@@ -72,6 +171,7 @@ const GameSchema = new mongoose.Schema({
     players: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     player1: { id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, color: { type: String, default: 'white' } },
     player2: { id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, color: { type: String, default: 'black' } },
+    variant: { type: String, enum: ['brazilian', 'international', 'russian', 'english'], default: 'brazilian' },
     boardState: { type: String, required: true },
     currentPlayer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     status: { type: String, enum: ['waiting_players', 'ongoing', 'finished', 'cancelled'], default: 'waiting_players' },
@@ -79,22 +179,149 @@ const GameSchema = new mongoose.Schema({
     loser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     endReason: { 
         type: String, 
-        enum: ['checkmate', 'resignation', 'timeout', 'no_pieces', null], 
+        enum: ['checkmate', 'resignation', 'timeout', 'no_pieces', 'draw', 'abandonment', null], 
         default: null 
     },
+    drawReason: {
+        type: String,
+        enum: ['agreement', 'repetition', 'king_moves', 'endgame', null],
+        default: null
+    },
+    drawOfferedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Contadores para o empate automático (repetição, lances só de damas, finais reduzidos)
+    positionCounts: { type: Map, of: Number, default: {} },
+    kingMovesWithoutCapture: { type: Number, default: 0 },
+    endgamePlies: { type: Number, default: 0 },
     betAmount: { type: Number, required: true },
     platformFee: { type: Number, default: 0 },
+    // Partida de treino contra o bot: sem aposta, sem rating e sem estatísticas
+    isPractice: { type: Boolean, default: false },
+    botLevel: { type: String, enum: ['easy', 'medium', 'hard', 'expert', null], default: null },
+    // Partida de torneio: sem aposta própria (as inscrições estão na custódia do torneio)
+    tournament: { type: mongoose.Schema.Types.ObjectId, ref: 'Tournament', default: null },
+    tournamentRound: { type: Number, default: null },
+    endedAt: { type: Date, default: null },
+    // Proposta de revanche depois do fim: a aposta de quem propõe fica em custódia até à resposta
+    rematch: {
+        offeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        expiresAt: { type: Date, default: null },
+        status: { type: String, enum: ['offered', 'accepted', 'declined', 'expired', null], default: null },
+        game: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', default: null }
+    },
+    ratingChanges: [{
+        player: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        before: Number,
+        after: Number,
+        delta: Number,
+        deviation: Number
+    }],
+    // Jogos sem timeControl.initial (partidas antigas) não têm relógio
+    timeControl: {
+        initial: { type: Number },
+        increment: { type: Number }
+    },
+    // Tempo restante de cada cor em milissegundos, atualizado a cada lance
+    clock: {
+        white: { type: Number },
+        black: { type: Number },
+        lastMoveAt: { type: Date }
+    },
     moves: [{
         player: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         from: { row: Number, col: Number },
         to: { row: Number, col: Number },
+        path: [{ row: Number, col: Number }],
         capturedPieces: [{ row: Number, col: Number }],
         timestamp: { type: Date, default: Date.now }
-    }]
+    }],
+    // Anotação dos lances pelo motor, calculada no primeiro pedido depois de a partida terminar
+    analysis: {
+        depth: { type: Number },
+        analyzedAt: { type: Date },
+        moves: [{
+            ply: Number,
+            color: { type: String, enum: ['white', 'black'] },
+            player: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            notation: String,
+            classification: { type: String, enum: ['best', 'good', 'mistake', 'blunder'] },
+            playedScore: Number,
+            bestScore: Number,
+            bestMove: String
+        }]
+    }
 }, { timestamps: true });
 
+GameSchema.index({ tournament: 1, status: 1 });
+GameSchema.index({ 'rematch.status': 1 });
+
 const Game = mongoose.model('Game', GameSchema);
 
+// =============================
+// ESQUEMA DE TORNEIO (TOURNAMENT)
+// =============================
+// Eliminatória (knockout) ou sistema suíço. As inscrições ficam em custódia até ao fim do torneio,
+// quando o prémio (menos a taxa da plataforma) é distribuído pela classificação final.
+const TournamentSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    format: { type: String, enum: ['knockout', 'swiss'], required: true },
+    variant: { type: String, enum: ['brazilian', 'international', 'russian', 'english'], default: 'brazilian' },
+    timeControl: {
+        initial: { type: Number, required: true },
+        increment: { type: Number, default: 0 }
+    },
+    entryFee: { type: Number, default: 0, min: 0 },
+    maxPlayers: { type: Number, required: true, min: 2 },
+    minPlayers: { type: Number, default: 2, min: 2 },
+    startsAt: { type: Date, required: true },
+    // Percentagem do prémio líquido para cada lugar (1.º, 2.º, ...); somam 100
+    prizeDistribution: { type: [Number], default: [100] },
+    // Rondas do suíço; na eliminatória é calculado no início a partir do número de inscritos
+    totalRounds: { type: Number, default: null },
+    status: { type: String, enum: ['registration', 'ongoing', 'finished', 'cancelled'], default: 'registration' },
+    players: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        // Rating na inscrição, usado para os cabeças de série e desempates
+        rating: { type: Number, default: 1500 },
+        seed: { type: Number, default: null },
+        score: { type: Number, default: 0 },
+        opponents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        whiteGames: { type: Number, default: 0 },
+        byes: { type: Number, default: 0 },
+        // Derrotado na eliminatória ou retirado por falta de comparência
+        eliminated: { type: Boolean, default: false },
+        eliminatedInRound: { type: Number, default: null },
+        registeredAt: { type: Date, default: Date.now }
+    }],
+    rounds: [{
+        number: { type: Number, required: true },
+        startedAt: { type: Date, default: Date.now },
+        finishedAt: { type: Date, default: null },
+        // white/black são as cores do primeiro jogo; black é null numa folga (bye).
+        // Na eliminatória um empate é repetido com as cores trocadas, por isso pode haver vários jogos.
+        pairings: [{
+            white: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            black: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            games: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Game' }],
+            result: { type: String, enum: ['white', 'black', 'draw', 'bye', 'double_forfeit', null], default: null },
+            winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+        }]
+    }],
+    prizePool: { type: Number, default: 0 },
+    platformFee: { type: Number, default: 0 },
+    payouts: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        place: Number,
+        amount: Number
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+TournamentSchema.index({ status: 1, startsAt: 1 });
+
+const Tournament = mongoose.model('Tournament', TournamentSchema);
+
 // =============================
 // ESQUEMA DE DEPÓSITO (DEPOSIT)
 // =============================
@@ -123,6 +350,92 @@ const WithdrawalSchema = new mongoose.Schema({
 
 const Withdrawal = mongoose.model('Withdrawal', WithdrawalSchema);
 
+// =============================
+// ESQUEMA DO LIVRO-RAZÃO (LEDGER_ENTRY)
+// =============================
+// Cada movimento de saldo é uma transação de partidas dobradas: as pernas partilham o mesmo
+// transactionId e somam zero. Só as pernas da conta 'user' alteram User.balance.
+const LedgerEntrySchema = new mongoose.Schema({
+    transactionId: { type: String, required: true, index: true },
+    type: {
+        type: String,
+        enum: ['stake_escrow', 'stake_refund', 'escrow_transfer', 'prize', 'draw_refund', 'deposit', 'withdrawal_hold', 'withdrawal_release', 'withdrawal_payout', 'adjustment', 'opening_balance'],
+        required: true
+    },
+    account: {
+        type: String,
+        enum: ['user', 'escrow', 'platform_revenue', 'external', 'withdrawal_hold', 'adjustments', 'opening_balances'],
+        required: true
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number },
+    reference: {
+        kind: { type: String, enum: ['Game', 'LobbyRoom', 'Tournament', 'Deposit', 'Withdrawal', null], default: null },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    description: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+LedgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+
+// =============================
+// ESQUEMA DE NOTIFICAÇÃO (NOTIFICATION)
+// =============================
+// Centro de notificações: gravadas para consulta posterior e enviadas em tempo real para a sala pessoal
+const NotificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+        type: String,
+        enum: ['deposit_approved', 'deposit_rejected', 'withdrawal_approved', 'withdrawal_rejected', 'challenge_received', 'friend_request', 'game_result', 'tournament', 'account_blocked'],
+        required: true
+    },
+    title: { type: String, required: true },
+    message: { type: String, default: '' },
+    // Identificadores relacionados (ex.: { gameId }, { depositId }) para o cliente abrir o ecrã certo
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    read: { type: Boolean, default: false },
+    readAt: { type: Date, default: null }
+}, { timestamps: true });
+
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+// =============================
+// ESQUEMA DE MENSAGEM DE CHAT (CHAT_MESSAGE)
+// =============================
+// Mensagens do chat de uma partida (scope 'game') ou do lobby (scope 'lobby', sem jogo)
+const ChatMessageSchema = new mongoose.Schema({
+    scope: { type: String, enum: ['game', 'lobby'], required: true },
+    game: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', default: null },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, required: true },
+    quickPhrase: { type: String, default: null },
+    // true se o filtro de palavrões alterou o texto
+    filtered: { type: Boolean, default: false },
+    hidden: { type: Boolean, default: false },
+    reports: [{
+        reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, maxlength: 200, default: '' },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    review: {
+        status: { type: String, enum: ['pending', 'reviewed', null], default: null },
+        action: { type: String, enum: ['dismiss', 'hide', 'mute', 'block', null], default: null },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        reviewedAt: { type: Date, default: null }
+    }
+}, { timestamps: true });
+
+ChatMessageSchema.index({ scope: 1, game: 1, createdAt: -1 });
+ChatMessageSchema.index({ 'review.status': 1, updatedAt: -1 });
+
+const ChatMessage = mongoose.model('ChatMessage', ChatMessageSchema);
+
 // =============================
 // ESQUEMA DE CONFIGURAÇÃO DO ADMIN (ADMIN_SETTINGS)
 // =============================
@@ -134,6 +447,32 @@ const AdminSettingsSchema = new mongoose.Schema({
     maxWithdrawal: { type: Number, default: 5000 },
     maxBet: { type: Number, default: 2500 },
     platformFeePercentage: { type: Number, default: 10, min: 0, max: 100 },
+    // Tempo (segundos) que um jogador desconectado tem para voltar antes de perder por abandono
+    reconnectionWindowSeconds: { type: Number, default: 60, min: 0 },
+    // Minutos que uma sala pode ficar em espera antes de ser cancelada automaticamente (0 desativa)
+    lobbyTtlMinutes: { type: Number, default: 30, min: 0 },
+    // Atraso (segundos) com que os lances chegam aos espectadores, para evitar ajuda externa
+    spectatorDelaySeconds: { type: Number, default: 0, min: 0 },
+    // Prémio (MT) a partir do qual o vencedor recebe o email de grande vitória
+    largeWinEmailThreshold: { type: Number, default: 1000, min: 0 },
+    // Segundos que um desafio direto a um amigo fica à espera de resposta
+    directChallengeTtlSeconds: { type: Number, default: 120, min: 10 },
+    // Minutos que uma partida de torneio espera pelos jogadores antes de contar como falta de comparência
+    tournamentNoShowMinutes: { type: Number, default: 5, min: 1 },
+    // Segundos depois do fim da partida em que se pode propor revanche (e que a proposta fica válida)
+    rematchWindowSeconds: { type: Number, default: 30, min: 5 },
+    chat: {
+        maxLength: { type: Number, default: 200, min: 1 },
+        // Limite de mensagens por utilizador numa janela deslizante
+        rateLimitMessages: { type: Number, default: 5, min: 1 },
+        rateLimitWindowSeconds: { type: Number, default: 10, min: 1 },
+        // 'mask' troca as palavras por asteriscos; 'reject' recusa a mensagem
+        profanityFilter: {
+            enabled: { type: Boolean, default: true },
+            action: { type: String, enum: ['mask', 'reject'], default: 'mask' },
+            words: { type: [String], default: ['merda', 'porra', 'caralho', 'puta', 'foda', 'cabrão', 'filho da puta'] }
+        }
+    },
     paymentInstructions: {
         mpesa: { numbers: [{ number: String, instructions: String }] },
         emola: { numbers: [{ number: String, instructions: String }] }
@@ -149,9 +488,15 @@ const AdminSettings = mongoose.model('AdminSettings', AdminSettingsSchema);
 // Exportando todos os modelos
 module.exports = {
     User,
+    Session,
     LobbyRoom,
+    Friendship,
     Game,
+    Tournament,
     Deposit,
     Withdrawal,
+    LedgerEntry,
+    Notification,
+    ChatMessage,
     AdminSettings
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+// perft.js
+
+// =================================================================
+// --- BENCHMARK DO GERADOR DE LANCES ---
+// =================================================================
+// Uso: node perft.js [profundidade]
+// Conta as posições alcançáveis a cada profundidade, em todas as variantes, com o gerador compacto
+// (fazer/desfazer) e com a implementação de referência (clones JSON), e compara os tempos.
+// A correção do gerador (contagens conhecidas e equivalência lance a lance) é verificada pelos
+// testes em test/gameEngine.test.js (npm test).
+
+const {
+    VARIANTS, getVariant, oppositeColor, initializeBoard, applyMove,
+    toCompactBoard, generateCompactMoves, makeCompactMove, unmakeCompactMove,
+} = require('./gameEngine.js');
+const { referenceFindAllPossibleMoves } = require('./test/referenceMoveGenerator.js');
+
+// --- 1. PERFT ---
+function perftCompact(cells, size, color, depth, variant) {
+    if (depth === 0) return 1;
+    const moves = generateCompactMoves(cells, size, color, variant);
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+        const undo = makeCompactMove(cells, size, move);
+        nodes += perftCompact(cells, size, oppositeColor(color), depth - 1, variant);
+        unmakeCompactMove(cells, move, undo);
+    }
+    return nodes;
+}
+
+function perftReference(board, color, depth, variant) {
+    if (depth === 0) return 1;
+    const moves = referenceFindAllPossibleMoves(board, color, variant);
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+        const next = JSON.parse(JSON.stringify(board));
+        applyMove(next, move, color);
+        nodes += perftReference(next, oppositeColor(color), depth - 1, variant);
+    }
+    return nodes;
+}
+
+const timed = (fn) => {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+};
+
+// --- 2. EXECUÇÃO ---
+const depth = parseInt(process.argv[2], 10) || 6;
+
+for (const id of Object.keys(VARIANTS)) {
+    const variant = getVariant(id);
+    const board = initializeBoard(variant);
+    console.log(`\n${variant.name} (${id})`);
+    for (let d = 1; d <= depth; d++) {
+        const compact = timed(() => perftCompact(toCompactBoard(board), variant.size, variant.firstColor, d, variant));
+        const reference = timed(() => perftReference(board, variant.firstColor, d, variant));
+        const match = compact.result === reference.result;
+        console.log(`  perft(${d}) = ${compact.result}${match ? '' : ` ≠ ${reference.result} (referência)`}` +
+            `  compacto ${compact.ms.toFixed(1)} ms | referência ${reference.ms.toFixed(1)} ms`);
+    }
+}
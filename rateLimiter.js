@@ -0,0 +1,119 @@
+// rateLimiter.js
+
+// =================================================================
+// --- LIMITE DE PEDIDOS E BLOQUEIO PROGRESSIVO ---
+// =================================================================
+// Os contadores vivem num "store" substituível. Por omissão é um Map em memória (suficiente com um só
+// processo); com vários servidores basta passar a setRateLimitStore() um objeto com a mesma interface
+// assíncrona, por exemplo sobre Redis:
+//   get(key) -> valor ou null
+//   set(key, value, ttlMs)
+//   increment(key, ttlMs) -> { count, expiresAt }   (o TTL conta a partir do primeiro incremento)
+//   delete(key)
+
+// --- 1. STORE EM MEMÓRIA ---
+const STORE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+    // Remove periodicamente as entradas expiradas que nunca voltaram a ser lidas
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+    }, STORE_SWEEP_INTERVAL_MS).unref();
+
+    return {
+        async get(key) {
+            return read(key)?.value ?? null;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async increment(key, ttlMs) {
+            const entry = read(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+            entry.value += 1;
+            entries.set(key, entry);
+            return { count: entry.value, expiresAt: entry.expiresAt };
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+};
+
+let store = createMemoryStore();
+
+const setRateLimitStore = (customStore) => { store = customStore; };
+
+// --- 2. LIMITE DE PEDIDOS (JANELA FIXA) ---
+// Middleware que conta os pedidos por cada chave devolvida por `keys` (ex.: IP, email) e responde 429
+// quando alguma passa de `max` na janela. A mensagem é a mesma para qualquer chave.
+const rateLimit = ({ name, windowSeconds, max, keys }) => async (req, res, next) => {
+    try {
+        let retryAfter = 0;
+        for (const getKey of keys) {
+            const key = getKey(req);
+            if (!key) continue;
+            const { count, expiresAt } = await store.increment(`rate:${name}:${key}`, windowSeconds * 1000);
+            if (count > max) retryAfter = Math.max(retryAfter, Math.ceil((expiresAt - Date.now()) / 1000));
+        }
+        if (retryAfter > 0) {
+            res.status(429);
+            res.set('Retry-After', String(retryAfter));
+            return next(new Error(`Demasiados pedidos. Tente novamente dentro de ${retryAfter} segundos.`));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Atrás de um proxy, req.ip só é o IP do cliente com TRUST_PROXY configurado (ver server.js)
+const byIp = (req) => req.ip;
+// Para rotas autenticadas (depois de protect)
+const byUser = (req) => req.user?._id?.toString() || null;
+// Normaliza o email enviado, exista ou não a conta
+const byEmail = (req) => req.body?.email ? String(req.body.email).trim().toLowerCase() : null;
+
+// --- 3. BLOQUEIO PROGRESSIVO ---
+// Depois de `freeAttempts` falhas seguidas cada nova falha bloqueia a chave durante o dobro do tempo
+// anterior, até `maxLockSeconds`. As falhas são esquecidas após `memorySeconds` sem novas falhas.
+const LOCKOUT = {
+    freeAttempts: 5,
+    baseLockSeconds: 30,
+    maxLockSeconds: 60 * 60,
+    memorySeconds: 24 * 60 * 60,
+};
+
+// Segundos de bloqueio que faltam para a chave (0 se não estiver bloqueada)
+const getLockoutSeconds = async (key) => {
+    const state = await store.get(`lock:${key}`);
+    if (!state?.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+};
+
+// Regista uma falha e devolve os segundos de bloqueio que ela provocou (0 se ainda não bloqueia)
+const recordFailedAttempt = async (key) => {
+    const state = (await store.get(`lock:${key}`)) || { failures: 0, lockedUntil: null };
+    state.failures += 1;
+    const excess = state.failures - LOCKOUT.freeAttempts;
+    const lockSeconds = excess >= 0 ? Math.min(LOCKOUT.maxLockSeconds, LOCKOUT.baseLockSeconds * 2 ** excess) : 0;
+    state.lockedUntil = lockSeconds ? Date.now() + lockSeconds * 1000 : null;
+    await store.set(`lock:${key}`, state, LOCKOUT.memorySeconds * 1000);
+    return lockSeconds;
+};
+
+const clearFailedAttempts = (key) => store.delete(`lock:${key}`);
+
+module.exports = {
+    LOCKOUT, createMemoryStore, setRateLimitStore, rateLimit, byIp, byUser, byEmail,
+    getLockoutSeconds, recordFailedAttempt, clearFailedAttempts,
+};
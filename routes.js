@@ -13,27 +13,73 @@ const {
     // Controladores de Autenticação e Usuário
     registerUser,
     loginUser,
+    verifyLoginTwoFactor,
+    refreshAccessToken,
+    logoutUser,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    verifyEmail,
+    resendEmailVerification,
+    requestEmailChange,
+    confirmEmailChange,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
     forgotPassword,
     resetPassword,
     getUserProfile,
     updateUserProfile,
     uploadAvatar,
     getPublicProfile,
+    getRatingHistory,
     getRanking,
+    getFriends,
+    sendFriendRequest,
+    acceptFriendRequest,
+    deleteFriendRequest,
+    removeFriend,
 
     // Controladores de Lobby e Jogo
     createLobbyRoom,
+    cancelLobbyRoom,
     getPublicLobbies,
     findPrivateLobbyByCode,
+    createDirectChallenge,
+    getDirectChallenges,
     getGameHistory,
     getGameDetails,
+    getLiveGames,
+    getGameReplay,
+    exportGamePdn,
+    exportGameHistoryPdn,
+    importPdn,
+    createPracticeGame,
+    analyzeBoard,
+    getGameAnalysis,
     getActiveGameNotification,
 
+    // Controladores de Torneios
+    getTournaments,
+    getTournamentDetails,
+    registerForTournament,
+    unregisterFromTournament,
+
+    // Controladores de Notificações
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+
     // Controladores de Transações
     requestDeposit,
     requestWithdrawal,
     getTransactionHistory,
+    getAccountStatement,
     getPaymentInstructions,
+    getTimeControls,
+    getVariants,
+    getBotLevels,
 
     // Controladores de Admin
     adminGetAllUsers,
@@ -47,7 +93,26 @@ const {
     adminGetDashboardStats,
     adminGetSettings,
     adminUpdateSettings,
+    adminGetLedgerReconciliation,
+    adminPostOpeningBalances,
+    adminGetReportedChatMessages,
+    adminReviewChatMessage,
+    adminCreateTournament,
+    adminCancelTournament,
 } = require('./controllers.js');
+const { rateLimit, byIp, byUser, byEmail } = require('./rateLimiter.js');
+
+// --- Limites de pedidos nas rotas de autenticação ---
+// Por IP e, quando o pedido traz um email, por conta; o bloqueio progressivo das falhas fica nos controladores
+const loginLimiter = rateLimit({ name: 'login', windowSeconds: 15 * 60, max: 20, keys: [byIp, byEmail] });
+const twoFactorLimiter = rateLimit({ name: '2fa', windowSeconds: 15 * 60, max: 20, keys: [byIp] });
+const forgotPasswordLimiter = rateLimit({ name: 'forgot-password', windowSeconds: 60 * 60, max: 5, keys: [byIp, byEmail] });
+const resetPasswordLimiter = rateLimit({ name: 'reset-password', windowSeconds: 15 * 60, max: 10, keys: [byIp, byEmail] });
+const verifyEmailLimiter = rateLimit({ name: 'verify-email', windowSeconds: 15 * 60, max: 20, keys: [byIp, byEmail] });
+const registerLimiter = rateLimit({ name: 'register', windowSeconds: 60 * 60, max: 10, keys: [byIp, byEmail] });
+
+// A análise de posições ocupa um worker do motor durante segundos
+const analysisLimiter = rateLimit({ name: 'analysis', windowSeconds: 60, max: 10, keys: [byUser] });
 
 // --- Configuração do Multer para Upload de Avatar ---
 // Armazena o arquivo na memória para que o controlador possa enviá-lo para o Cloudinary
@@ -72,25 +137,45 @@ const upload = multer({
 */
 // @desc    Registrar um novo usuário
 // @route   POST /api/auth/register
-router.post('/auth/register', registerUser);
+router.post('/auth/register', registerLimiter, registerUser);
 
 // @desc    Autenticar usuário e obter token
 // @route   POST /api/auth/login
-router.post('/auth/login', loginUser);
+router.post('/auth/login', loginLimiter, loginUser);
+
+// @desc    Segundo passo do login com 2FA (código TOTP ou de recuperação)
+// @route   POST /api/auth/login/2fa
+router.post('/auth/login/2fa', twoFactorLimiter, verifyLoginTwoFactor);
+
+// @desc    Obter um novo token de acesso com o refresh token (que é trocado)
+// @route   POST /api/auth/refresh
+router.post('/auth/refresh', refreshAccessToken);
+
+// @desc    Terminar a sessão do refresh token enviado
+// @route   POST /api/auth/logout
+router.post('/auth/logout', logoutUser);
+
+// @desc    Confirmar o email com o código recebido
+// @route   POST /api/auth/verify-email
+router.post('/auth/verify-email', verifyEmailLimiter, verifyEmail);
 
 // @desc    Solicitar código de recuperação de senha
 // @route   POST /api/auth/forgot-password
-router.post('/auth/forgot-password', forgotPassword);
+router.post('/auth/forgot-password', forgotPasswordLimiter, forgotPassword);
 
 // @desc    Redefinir senha com o código
 // @route   POST /api/auth/reset-password
-router.post('/auth/reset-password', resetPassword);
+router.post('/auth/reset-password', resetPasswordLimiter, resetPassword);
 
 // @desc    Ver perfil público de um jogador
 // @route   GET /api/users/profile/:username
 router.get('/users/profile/:username', getPublicProfile);
 
-// @desc    Obter o ranking de jogadores
+// @desc    Ver o histórico de rating de um jogador
+// @route   GET /api/users/profile/:username/rating-history
+router.get('/users/profile/:username/rating-history', getRatingHistory);
+
+// @desc    Obter o ranking de jogadores (?sort=rating para ordenar por rating)
 // @route   GET /api/users/ranking
 router.get('/users/ranking', getRanking);
 
@@ -98,6 +183,18 @@ router.get('/users/ranking', getRanking);
 // @route   GET /api/settings/payment-info
 router.get('/settings/payment-info', getPaymentInstructions);
 
+// @desc    Obter os controlos de tempo disponíveis para as salas
+// @route   GET /api/settings/time-controls
+router.get('/settings/time-controls', getTimeControls);
+
+// @desc    Obter as variantes de damas disponíveis
+// @route   GET /api/settings/variants
+router.get('/settings/variants', getVariants);
+
+// @desc    Obter os níveis de dificuldade do bot de treino
+// @route   GET /api/settings/bot-levels
+router.get('/settings/bot-levels', getBotLevels);
+
 
 /*
 |--------------------------------------------------------------------------
@@ -114,6 +211,46 @@ router.route('/users/me')
 // @route   PUT /api/users/me/avatar
 router.put('/users/me/avatar', protect, upload.single('avatar'), uploadAvatar);
 
+// @desc    Reenviar o código de confirmação do email
+// @route   POST /api/users/me/email/verification
+router.post('/users/me/email/verification', protect, resendEmailVerification);
+
+// @desc    Pedir a troca de email (códigos para o endereço atual e para o novo)
+// @route   POST /api/users/me/email
+router.post('/users/me/email', protect, requestEmailChange);
+
+// @desc    Confirmar a troca de email com os dois códigos
+// @route   POST /api/users/me/email/confirm
+router.post('/users/me/email/confirm', protect, confirmEmailChange);
+
+// @desc    Listar as sessões ativas (dispositivos) do usuário
+// @route   GET /api/users/me/sessions
+router.get('/users/me/sessions', protect, getSessions);
+
+// @desc    Terminar todas as outras sessões
+// @route   DELETE /api/users/me/sessions
+router.delete('/users/me/sessions', protect, revokeAllSessions);
+
+// @desc    Terminar uma sessão
+// @route   DELETE /api/users/me/sessions/:id
+router.delete('/users/me/sessions/:id', protect, revokeSession);
+
+// @desc    Gerar o segredo TOTP e o URI para o QR code
+// @route   POST /api/users/me/2fa/setup
+router.post('/users/me/2fa/setup', protect, setupTwoFactor);
+
+// @desc    Ativar a 2FA com o primeiro código (devolve os códigos de recuperação)
+// @route   POST /api/users/me/2fa/enable
+router.post('/users/me/2fa/enable', protect, enableTwoFactor);
+
+// @desc    Gerar novos códigos de recuperação
+// @route   POST /api/users/me/2fa/recovery-codes
+router.post('/users/me/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// @desc    Desativar a 2FA (senha e código)
+// @route   POST /api/users/me/2fa/disable
+router.post('/users/me/2fa/disable', protect, disableTwoFactor);
+
 // @desc    Listar salas de apostas públicas no lobby
 // @route   GET /api/lobby
 router.get('/lobby', protect, getPublicLobbies);
@@ -122,22 +259,114 @@ router.get('/lobby', protect, getPublicLobbies);
 // @route   POST /api/lobby/create
 router.post('/lobby/create', protect, createLobbyRoom);
 
+// @desc    Cancelar uma sala em espera e devolver a aposta ao criador
+// @route   DELETE /api/lobby/:id
+router.delete('/lobby/:id', protect, cancelLobbyRoom);
+
 // @desc    Encontrar uma sala privada pelo código
 // @route   GET /api/lobby/private/:code
 router.get('/lobby/private/:code', protect, findPrivateLobbyByCode);
 
+// @desc    Lista de amigos (com presença) e pedidos de amizade pendentes
+// @route   GET /api/friends
+router.get('/friends', protect, getFriends);
+
+// @desc    Enviar um pedido de amizade pelo nome de utilizador
+// @route   POST /api/friends/requests
+router.post('/friends/requests', protect, sendFriendRequest);
+
+// @desc    Aceitar um pedido de amizade recebido
+// @route   PUT /api/friends/requests/:id/accept
+router.put('/friends/requests/:id/accept', protect, acceptFriendRequest);
+
+// @desc    Recusar ou cancelar um pedido de amizade pendente
+// @route   DELETE /api/friends/requests/:id
+router.delete('/friends/requests/:id', protect, deleteFriendRequest);
+
+// @desc    Remover um amigo
+// @route   DELETE /api/friends/:userId
+router.delete('/friends/:userId', protect, removeFriend);
+
+// @desc    Desafiar diretamente um amigo (a aposta fica em escrow até à resposta)
+// @route   POST /api/challenges
+router.post('/challenges', protect, createDirectChallenge);
+
+// @desc    Desafios diretos pendentes recebidos e enviados
+// @route   GET /api/challenges
+router.get('/challenges', protect, getDirectChallenges);
+
 // @desc    Obter o histórico de partidas do usuário
 // @route   GET /api/games/history
 router.get('/games/history', protect, getGameHistory);
 
+// @desc    Exportar todas as partidas do usuário em PDN
+// @route   GET /api/games/history/pdn
+router.get('/games/history/pdn', protect, exportGameHistoryPdn);
+
+// @desc    Validar (importar) uma partida em PDN
+// @route   POST /api/games/import-pdn
+router.post('/games/import-pdn', protect, importPdn);
+
+// @desc    Criar uma partida de treino (sem aposta) contra o bot
+// @route   POST /api/games/practice
+router.post('/games/practice', protect, createPracticeGame);
+
+// @desc    Listar partidas a decorrer que podem ser assistidas
+// @route   GET /api/games/live
+router.get('/games/live', protect, getLiveGames);
+
 // @desc    Obter detalhes de uma partida específica
 // @route   GET /api/games/:id
 router.get('/games/:id', protect, getGameDetails);
 
+// @desc    Repetição da partida com a posição após cada meio-lance (?ply=N para uma posição)
+// @route   GET /api/games/:id/replay
+router.get('/games/:id/replay', protect, getGameReplay);
+
+// @desc    Exportar uma partida terminada em PDN
+// @route   GET /api/games/:id/pdn
+router.get('/games/:id/pdn', protect, exportGamePdn);
+
+// @desc    Anotação dos lances de uma partida terminada pelo motor (best/good/mistake/blunder)
+// @route   GET /api/games/:id/analysis
+router.get('/games/:id/analysis', protect, getGameAnalysis);
+
 // @desc    Verificar se há notificações de partidas ativas
 // @route   GET /api/games/notification/active
 router.get('/games/notification/active', protect, getActiveGameNotification);
 
+// @desc    Analisar uma posição: lances legais, avaliação e melhor linha do motor
+// @route   POST /api/analysis
+router.post('/analysis', protect, analysisLimiter, analyzeBoard);
+
+// @desc    Listar torneios em inscrições e a decorrer (?status= para filtrar)
+// @route   GET /api/tournaments
+router.get('/tournaments', protect, getTournaments);
+
+// @desc    Ver um torneio: classificação, rondas e prémios
+// @route   GET /api/tournaments/:id
+router.get('/tournaments/:id', protect, getTournamentDetails);
+
+// @desc    Inscrever-se num torneio (a taxa fica em custódia)
+// @route   POST /api/tournaments/:id/register
+router.post('/tournaments/:id/register', protect, registerForTournament);
+
+// @desc    Cancelar a inscrição antes do início
+// @route   DELETE /api/tournaments/:id/register
+router.delete('/tournaments/:id/register', protect, unregisterFromTournament);
+
+// @desc    Listar as notificações do usuário (?unread=true para só as não lidas)
+// @route   GET /api/notifications
+router.get('/notifications', protect, getNotifications);
+
+// @desc    Marcar todas as notificações como lidas
+// @route   PUT /api/notifications/read-all
+router.put('/notifications/read-all', protect, markAllNotificationsRead);
+
+// @desc    Marcar uma notificação como lida
+// @route   PUT /api/notifications/:id/read
+router.put('/notifications/:id/read', protect, markNotificationRead);
+
 // @desc    Solicitar um novo depósito
 // @route   POST /api/transactions/deposit
 router.post('/transactions/deposit', protect, requestDeposit);
@@ -150,6 +379,10 @@ router.post('/transactions/withdraw', protect, requestWithdrawal);
 // @route   GET /api/transactions/history
 router.get('/transactions/history', protect, getTransactionHistory);
 
+// @desc    Obter o extrato de movimentos de saldo do usuário (livro-razão)
+// @route   GET /api/transactions/statement
+router.get('/transactions/statement', protect, getAccountStatement);
+
 
 /*
 |--------------------------------------------------------------------------
@@ -169,6 +402,18 @@ adminRouter.put('/deposits/:id/process', adminProcessDeposit);
 adminRouter.get('/withdrawals', adminGetWithdrawals);
 adminRouter.put('/withdrawals/:id/process', adminProcessWithdrawal);
 
+// Livro-razão
+adminRouter.get('/ledger/reconciliation', adminGetLedgerReconciliation);
+adminRouter.post('/ledger/opening-balances', adminPostOpeningBalances);
+
+// Moderação do chat
+adminRouter.get('/chat/reports', adminGetReportedChatMessages);
+adminRouter.put('/chat/reports/:id', adminReviewChatMessage);
+
+// Torneios
+adminRouter.post('/tournaments', adminCreateTournament);
+adminRouter.put('/tournaments/:id/cancel', adminCancelTournament);
+
 // Gestão do Sistema e Jogos
 adminRouter.get('/games', adminGetAllGames);
 adminRouter.get('/dashboard-stats', adminGetDashboardStats);
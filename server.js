@@ -12,16 +12,57 @@ const jwt = require('jsonwebtoken');
 dotenv.config();
 
 const apiRoutes = require('./routes.js');
-const { User, Game } = require('./models.js');
+const { User, Session, Game } = require('./models.js');
 const { 
     handleAcceptChallenge, 
+    handleDeclineChallenge,
     handlePlayerMove, 
-    finishGame 
+    handlePlayersReady,
+    handleDrawOffer,
+    handleDrawResponse,
+    handleOfferRematch,
+    handleAcceptRematch,
+    handleDeclineRematch,
+    finishGame,
+    restoreGameClocks,
+    restoreAbandonmentTimers,
+    restoreBotMoves,
+    restoreRematchOffers,
+    isUserInGameRoom,
+    handlePlayerDisconnect,
+    handlePlayerReconnect,
+    refundStake,
+    sweepExpiredLobbies,
+    handleJoinMatchmaking,
+    handleLeaveMatchmaking,
+    runMatchmaking,
+    handleSpectateGame,
+    handleLeaveSpectating,
+    handleChatMessage,
+    handleChatHistory,
+    handleMuteChatUser,
+    handleReportChatMessage,
+    sweepChatRateLimits,
+    emitPresence,
+    getSessionRoom,
+    processMailQueue,
+    runTournaments
 } = require('./controllers.js');
 
 const app = express();
 const server = http.createServer(app);
 
+// Atrás de um proxy reverso (nginx, load balancer) o req.ip seria o do proxy e todos os clientes
+// partilhariam os limites de pedidos. TRUST_PROXY aceita o número de proxies à frente do servidor
+// (ex.: 1), 'true' ou uma lista de endereços/sub-redes confiáveis (ex.: 'loopback, 10.0.0.0/8').
+const parseTrustProxy = (value) => {
+    if (!value) return false;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // --- 2. CONFIGURAÇÃO DO CORS E MIDDLEWARES ---
 app.use(cors({
     origin: '*', // Em produção, mude para o domínio do seu frontend
@@ -57,9 +98,12 @@ io.use(async (socket, next) => {
     if (token) {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.id).select('_id');
-            if (user) {
+            // A sessão tem de estar ativa: sessões revogadas deixam de poder ligar-se
+            const session = decoded.sid && await Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } });
+            const user = session && await User.findById(decoded.id).select('_id isBlocked');
+            if (user && !user.isBlocked) {
                 socket.userId = user._id.toString(); // Anexa o ID do usuário ao socket
+                socket.sessionId = decoded.sid;
                 return next();
             }
         } catch (error) {
@@ -82,6 +126,9 @@ io.on('connection', (socket) => {
     // Faz o socket entrar em uma sala com seu próprio ID de usuário.
     // Isso permite enviar mensagens diretas para um usuário específico.
     socket.join(socket.userId);
+    // E na sala da sessão, para ser desligado quando ela for revogada
+    socket.join(getSessionRoom(socket.sessionId));
+    emitPresence(io, socket.userId);
     
     // ================== EVENTOS DO LOBBY ==================
     socket.on('joinLobby', () => {
@@ -92,6 +139,18 @@ io.on('connection', (socket) => {
         handleAcceptChallenge(io, socket, data);
     });
 
+    socket.on('declineChallenge', (data) => {
+        handleDeclineChallenge(io, socket, data);
+    });
+
+    socket.on('joinMatchmaking', (data) => {
+        handleJoinMatchmaking(io, socket, data);
+    });
+
+    socket.on('leaveMatchmaking', () => {
+        handleLeaveMatchmaking(io, socket);
+    });
+
     // ================== EVENTOS DO JOGO (VERSUS E GAME) ==================
     socket.on('joinGameRoom', async ({ gameId }) => {
         try {
@@ -112,8 +171,10 @@ io.on('connection', (socket) => {
 
             const connectedUsers = Array.from(gameRooms[gameId]);
             io.to(gameId).emit('roomStatus', { connectedUsers });
+            handlePlayerReconnect(io, socket, game);
 
-            if (gameRooms[gameId].size === 1 && game.status === 'waiting_players') {
+            // O bot das partidas de treino nunca entra na sala: não há adversário por quem esperar
+            if (gameRooms[gameId].size === 1 && game.status === 'waiting_players' && !game.isPractice) {
                 socket.emit('startCountdown');
             }
 
@@ -123,9 +184,16 @@ io.on('connection', (socket) => {
         }
     });
     
-    socket.on('playersReady', async ({ gameId }) => {
-        await Game.findByIdAndUpdate(gameId, { status: 'ongoing' });
-        io.to(gameId).emit('startGame');
+    socket.on('playersReady', (data) => {
+        handlePlayersReady(io, socket, data);
+    });
+
+    socket.on('spectateGame', (data) => {
+        handleSpectateGame(io, socket, data);
+    });
+
+    socket.on('leaveSpectating', () => {
+        handleLeaveSpectating(io, socket);
     });
 
     socket.on('makeMove', (data) => {
@@ -141,19 +209,53 @@ io.on('connection', (socket) => {
         }
     });
 
+    socket.on('offerDraw', (data) => {
+        handleDrawOffer(io, socket, data);
+    });
+
+    socket.on('acceptDraw', ({ gameId }) => {
+        handleDrawResponse(io, socket, { gameId, accept: true });
+    });
+
+    socket.on('declineDraw', ({ gameId }) => {
+        handleDrawResponse(io, socket, { gameId, accept: false });
+    });
+
+    // Revanche depois do gameOver (enviada pela sala pessoal, o jogador pode já ter saído da sala do jogo)
+    socket.on('offerRematch', (data) => {
+        handleOfferRematch(io, socket, data);
+    });
+
+    socket.on('acceptRematch', (data) => {
+        handleAcceptRematch(io, socket, data);
+    });
+
+    socket.on('declineRematch', (data) => {
+        handleDeclineRematch(io, socket, data);
+    });
+
     socket.on('cancelGameByTimeout', async ({ gameId }) => {
         console.log(`Jogo ${gameId} cancelado por timeout.`);
         const game = await Game.findById(gameId);
-        if (game && (game.status === 'waiting_players')) {
+        // Nos torneios a falta de comparência é resolvida pelo servidor (runTournaments) e nas
+        // partidas de treino o bot está sempre presente
+        if (game && game.status === 'waiting_players' && !game.tournament && !game.isPractice) {
             const session = await mongoose.startSession();
             session.startTransaction();
             try {
+                // Evita devolver as apostas duas vezes se ambos os clientes enviarem o evento
+                const claimed = await Game.updateOne(
+                    { _id: game._id, status: 'waiting_players' },
+                    { status: 'cancelled', endReason: 'timeout' },
+                    { session }
+                );
+                if (claimed.modifiedCount === 0) {
+                    await session.abortTransaction();
+                    return;
+                }
                 for (const playerId of game.players) {
-                    await User.findByIdAndUpdate(playerId, { $inc: { balance: game.betAmount } }, { session });
+                    await refundStake(playerId, game.betAmount, { kind: 'Game', id: game._id }, session);
                 }
-                game.status = 'cancelled';
-                game.endReason = 'timeout';
-                await game.save({ session });
                 await session.commitTransaction();
                 io.to(gameId).emit('gameCancelled', { message: 'O oponente não se conectou a tempo. A partida foi cancelada e o valor da aposta foi devolvido.' });
             } catch (error) {
@@ -165,21 +267,43 @@ io.on('connection', (socket) => {
         }
     });
     
+    // ================== CHAT (LOBBY E JOGO) ==================
+    // Sem gameId os eventos referem-se ao chat do lobby
+    socket.on('sendChatMessage', (data) => {
+        handleChatMessage(io, socket, data);
+    });
+
+    socket.on('getChatHistory', (data) => {
+        handleChatHistory(io, socket, data);
+    });
+
+    socket.on('muteChatUser', (data) => {
+        handleMuteChatUser(io, socket, data);
+    });
+
+    socket.on('reportChatMessage', (data) => {
+        handleReportChatMessage(io, socket, data);
+    });
+
     // ================== DESCONEXÃO ==================
     socket.on('disconnect', () => {
         console.log(`🔌 Cliente desconectado: ${socket.id} (Usuário: ${socket.userId})`);
         if (socket.userId) {
             User.findByIdAndUpdate(socket.userId, { socketId: null }).exec();
+            handleLeaveMatchmaking(io, socket);
+            handleLeaveSpectating(io, socket);
+            // O socket já saiu da sala pessoal: se era o último, o utilizador passa a offline
+            emitPresence(io, socket.userId);
             
             for (const gameId in gameRooms) {
-                if (gameRooms[gameId].has(socket.userId)) {
+                // Com o jogo aberto noutro separador o jogador continua na sala
+                if (gameRooms[gameId].has(socket.userId) && !isUserInGameRoom(io, gameId, socket.userId)) {
                     gameRooms[gameId].delete(socket.userId);
                     console.log(`Usuário ${socket.userId} removido da sala ${gameId}`);
-                    // Adicionar lógica aqui para lidar com abandono de partida em andamento
+                    handlePlayerDisconnect(io, gameId, socket.userId);
                     if (gameRooms[gameId].size === 0) {
                         delete gameRooms[gameId];
                     }
-                    break;
                 }
             }
         }
@@ -210,6 +334,28 @@ app.use((err, req, res, next) => {
 
 // --- 7. INICIALIZAÇÃO DO SERVIDOR ---
 const PORT = process.env.PORT || 5000;
+const LOBBY_SWEEP_INTERVAL_MS = 60 * 1000;
+const MATCHMAKING_INTERVAL_MS = 2 * 1000;
+const MAIL_QUEUE_INTERVAL_MS = 15 * 1000;
+const TOURNAMENT_INTERVAL_MS = 30 * 1000;
+const CHAT_RATE_LIMIT_SWEEP_INTERVAL_MS = 60 * 1000;
 server.listen(PORT, () => {
     console.log(`🚀 Servidor rodando em modo ${process.env.NODE_ENV} na porta ${PORT}`);
+    restoreGameClocks(io).catch(error => console.error("Erro ao restaurar relógios:", error.message));
+    restoreAbandonmentTimers(io).catch(error => console.error("Erro ao restaurar janelas de reconexão:", error.message));
+    restoreBotMoves(io).catch(error => console.error("Erro ao retomar partidas de treino:", error.message));
+    restoreRematchOffers(io).catch(error => console.error("Erro ao restaurar propostas de revanche:", error.message));
+    setInterval(() => {
+        sweepExpiredLobbies(io).catch(error => console.error("Erro ao expirar salas:", error.message));
+    }, LOBBY_SWEEP_INTERVAL_MS);
+    setInterval(() => {
+        runMatchmaking(io).catch(error => console.error("Erro no matchmaking:", error.message));
+    }, MATCHMAKING_INTERVAL_MS);
+    setInterval(() => {
+        processMailQueue().catch(error => console.error("Erro na fila de emails:", error.message));
+    }, MAIL_QUEUE_INTERVAL_MS);
+    setInterval(() => {
+        runTournaments(io).catch(error => console.error("Erro nos torneios:", error.message));
+    }, TOURNAMENT_INTERVAL_MS);
+    setInterval(() => sweepChatRateLimits(), CHAT_RATE_LIMIT_SWEEP_INTERVAL_MS);
 });
\ No newline at end of file
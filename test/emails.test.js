@@ -0,0 +1,55 @@
+// test/emails.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, TEMPLATES, formatAmount, renderEmail } = require('../emails.js');
+
+test('escapa o nome de utilizador e os restantes valores no HTML', () => {
+    const { html, subject } = renderEmail('deposit_rejected', 'en', {
+        username: '<script>alert("x")</script>',
+        amount: formatAmount(50),
+        method: 'M-Pesa & e-Mola',
+        transactionRef: "ref'1",
+    });
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+    assert.ok(html.includes('M-Pesa &amp; e-Mola'));
+    assert.ok(html.includes('ref&#39;1'));
+    assert.ok(html.includes('<strong>50.00 MT</strong>'));
+    assert.equal(subject, 'Deposit rejected - BrainSkill');
+});
+
+test('o texto simples repõe os caracteres e tira as etiquetas', () => {
+    const { text } = renderEmail('welcome', 'en', { username: 'Ana & <Rui>' });
+    assert.ok(text.startsWith('Hello, Ana & <Rui>!'));
+    assert.ok(!text.includes('&amp;'));
+    const reset = renderEmail('password_reset', 'pt-MZ', { username: 'ana', token: 'AB12CD34', minutes: 15 });
+    assert.ok(reset.text.includes('válido por 15 minutos'));
+    assert.ok(reset.text.includes('AB12CD34'));
+});
+
+test('idiomas desconhecidos ou em falta usam pt-MZ', () => {
+    const expected = renderEmail('welcome', DEFAULT_LOCALE, { username: 'ana' }).subject;
+    assert.equal(DEFAULT_LOCALE, 'pt-MZ');
+    for (const locale of ['fr', 'pt', undefined, null, '']) {
+        assert.equal(renderEmail('welcome', locale, { username: 'ana' }).subject, expected, String(locale));
+    }
+    assert.notEqual(renderEmail('welcome', 'en', { username: 'ana' }).subject, expected);
+});
+
+test('as datas são formatadas no fuso de Maputo e no formato do idioma', () => {
+    const date = new Date(Date.UTC(2026, 0, 31, 22, 30));
+    assert.ok(renderEmail('password_changed', 'pt-MZ', { username: 'ana', date }).text.includes('01/02/2026, 00:30'));
+    assert.ok(renderEmail('password_changed', 'en', { username: 'ana', date }).text.includes('01/02/2026, 00:30'));
+});
+
+test('todos os modelos existem em todos os idiomas e um modelo desconhecido lança erro', () => {
+    for (const [name, definition] of Object.entries(TEMPLATES)) {
+        for (const locale of SUPPORTED_LOCALES) {
+            assert.equal(typeof definition[locale], 'function', `${name} (${locale})`);
+            const { subject, html, text } = renderEmail(name, locale, { username: 'ana' });
+            assert.ok(subject && html && text, `${name} (${locale})`);
+        }
+    }
+    assert.throws(() => renderEmail('nao_existe', 'en'), /Modelo de email desconhecido/);
+});
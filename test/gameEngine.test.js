@@ -0,0 +1,92 @@
+// test/gameEngine.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    VARIANTS, getVariant, oppositeColor, initializeBoard, findAllPossibleMoves, applyMove,
+    toCompactBoard, generateCompactMoves, makeCompactMove, unmakeCompactMove, resolveRequestedMove,
+} = require('../gameEngine.js');
+const { referenceFindAllPossibleMoves } = require('./referenceMoveGenerator.js');
+
+// Contagens perft a partir da posição inicial (profundidades 1 a 6)
+const PERFT_COUNTS = {
+    brazilian: [7, 49, 302, 1469, 7473, 37628],
+    international: [9, 81, 658, 4265, 27117, 167140],
+    russian: [7, 49, 302, 1469, 7482, 37986],
+    english: [7, 49, 302, 1469, 7361, 36768],
+};
+
+function perft(cells, size, color, depth, variant) {
+    const moves = generateCompactMoves(cells, size, color, variant);
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (const move of moves) {
+        const undo = makeCompactMove(cells, size, move);
+        nodes += perft(cells, size, oppositeColor(color), depth - 1, variant);
+        unmakeCompactMove(cells, move, undo);
+    }
+    return nodes;
+}
+
+// Gerador pseudo-aleatório com semente fixa para que as divergências sejam reproduzíveis
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+test('as contagens perft de todas as variantes coincidem com os valores conhecidos', () => {
+    assert.deepEqual(Object.keys(PERFT_COUNTS).sort(), Object.keys(VARIANTS).sort());
+    for (const [id, counts] of Object.entries(PERFT_COUNTS)) {
+        const variant = getVariant(id);
+        const cells = toCompactBoard(initializeBoard(variant));
+        const actual = counts.map((_, i) => perft(cells, variant.size, variant.firstColor, i + 1, variant));
+        assert.deepEqual(actual, counts, id);
+    }
+});
+
+test('em partidas aleatórias, findAllPossibleMoves devolve a mesma lista que o gerador de referência', () => {
+    for (const id of Object.keys(VARIANTS)) {
+        const variant = getVariant(id);
+        const random = createRandom(7919 + variant.size);
+        for (let game = 0; game < 30; game++) {
+            const board = initializeBoard(variant);
+            let color = variant.firstColor;
+            for (let ply = 0; ply < 200; ply++) {
+                const expected = referenceFindAllPossibleMoves(board, color, variant);
+                // Conteúdo e ordem iguais
+                assert.deepEqual(findAllPossibleMoves(board, color, variant), expected,
+                    `${id}, partida ${game}, lance ${ply} (${color} a jogar): ${JSON.stringify(board)}`);
+                if (expected.length === 0) break;
+                applyMove(board, expected[Math.floor(random() * expected.length)], color);
+                color = oppositeColor(color);
+            }
+        }
+    }
+});
+
+test('uma captura máxima pedida só com origem e destino é ambígua quando há dois caminhos; o path desempata', () => {
+    // Dama branca em (6,7): duas capturas de três peças terminam em (7,4), por (2,3)/(4,1) ou por (1,2)/(3,0)
+    const variant = getVariant('brazilian');
+    const board = Array.from({ length: variant.size }, () => Array(variant.size).fill(null));
+    board[6][7] = 'W';
+    for (const [row, col] of [[3, 4], [3, 2], [2, 1], [6, 3]]) board[row][col] = 'b';
+    const moves = findAllPossibleMoves(board, 'white', variant);
+    assert.equal(moves.length, 2);
+
+    const from = { row: 6, col: 7 };
+    const to = { row: 7, col: 4 };
+    assert.deepEqual(resolveRequestedMove(moves, { from, to }), { error: 'ambiguous' });
+
+    const viaLeft = [{ row: 1, col: 2 }, { row: 3, col: 0 }];
+    const { move } = resolveRequestedMove(moves, { from, to, path: [...viaLeft, to] });
+    assert.deepEqual(move.captures, [{ row: 3, col: 4 }, { row: 2, col: 1 }, { row: 6, col: 3 }]);
+    // O destino no fim do path é opcional
+    assert.equal(resolveRequestedMove(moves, { from, to, path: viaLeft }).move, move);
+    assert.deepEqual(resolveRequestedMove(moves, { from, to, path: [{ row: 2, col: 3 }] }), { error: 'illegal' });
+});
@@ -0,0 +1,89 @@
+// test/rateLimiter.test.js
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    LOCKOUT, createMemoryStore, setRateLimitStore, rateLimit, byIp, byEmail,
+    getLockoutSeconds, recordFailedAttempt, clearFailedAttempts,
+} = require('../rateLimiter.js');
+
+// Relógio controlado pelos testes
+let now;
+beforeEach((t) => {
+    now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    setRateLimitStore(createMemoryStore());
+});
+
+// Corre o middleware com um pedido falso e devolve { status, retryAfter, error }
+const runLimiter = (limiter, req) => new Promise((resolve) => {
+    const outcome = { status: 200, retryAfter: null, error: null };
+    const res = {
+        status(code) { outcome.status = code; return this; },
+        set(name, value) { if (name === 'Retry-After') outcome.retryAfter = value; },
+    };
+    limiter(req, res, (error) => resolve({ ...outcome, error: error || null }));
+});
+
+test('as primeiras falhas não bloqueiam', async () => {
+    for (let i = 1; i < LOCKOUT.freeAttempts; i++) {
+        assert.equal(await recordFailedAttempt('login:a'), 0);
+    }
+    assert.equal(await getLockoutSeconds('login:a'), 0);
+});
+
+test('o bloqueio dobra a cada falha até ao máximo', async () => {
+    for (let i = 1; i < LOCKOUT.freeAttempts; i++) await recordFailedAttempt('login:a');
+    const durations = [];
+    for (let i = 0; i < 9; i++) durations.push(await recordFailedAttempt('login:a'));
+    assert.deepEqual(durations, [30, 60, 120, 240, 480, 960, 1920, 3600, 3600]);
+    assert.equal(await getLockoutSeconds('login:a'), LOCKOUT.maxLockSeconds);
+});
+
+test('o bloqueio termina com o tempo e as falhas são esquecidas após memorySeconds', async () => {
+    for (let i = 0; i < LOCKOUT.freeAttempts; i++) await recordFailedAttempt('login:a');
+    assert.equal(await getLockoutSeconds('login:a'), LOCKOUT.baseLockSeconds);
+    now += 10 * 1000;
+    assert.equal(await getLockoutSeconds('login:a'), LOCKOUT.baseLockSeconds - 10);
+    now += (LOCKOUT.baseLockSeconds - 10) * 1000;
+    assert.equal(await getLockoutSeconds('login:a'), 0);
+
+    // Ainda lembrada: a falha seguinte bloqueia logo o dobro
+    assert.equal(await recordFailedAttempt('login:a'), LOCKOUT.baseLockSeconds * 2);
+    now += LOCKOUT.memorySeconds * 1000;
+    assert.equal(await recordFailedAttempt('login:a'), 0);
+});
+
+test('clearFailedAttempts apaga as falhas e as chaves são independentes', async () => {
+    for (let i = 0; i < LOCKOUT.freeAttempts; i++) await recordFailedAttempt('login:a');
+    assert.equal(await getLockoutSeconds('login:b'), 0);
+    await clearFailedAttempts('login:a');
+    assert.equal(await getLockoutSeconds('login:a'), 0);
+    assert.equal(await recordFailedAttempt('login:a'), 0);
+});
+
+test('rateLimit responde 429 acima do máximo e volta a aceitar depois da janela', async () => {
+    const limiter = rateLimit({ name: 'test', windowSeconds: 60, max: 2, keys: [byIp] });
+    const req = { ip: '10.0.0.1', body: {} };
+    assert.equal((await runLimiter(limiter, req)).error, null);
+    now += 20 * 1000;
+    assert.equal((await runLimiter(limiter, req)).error, null);
+
+    const blocked = await runLimiter(limiter, req);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.retryAfter, '40');
+    assert.match(blocked.error.message, /Demasiados pedidos/);
+    // Outro IP tem o seu próprio contador
+    assert.equal((await runLimiter(limiter, { ip: '10.0.0.2', body: {} })).error, null);
+
+    now += 40 * 1000;
+    assert.equal((await runLimiter(limiter, req)).error, null);
+});
+
+test('rateLimit conta o email normalizado e ignora pedidos sem email', async () => {
+    const limiter = rateLimit({ name: 'test', windowSeconds: 60, max: 1, keys: [byEmail] });
+    assert.equal((await runLimiter(limiter, { ip: '1', body: { email: 'Ana@Example.com ' } })).error, null);
+    assert.equal((await runLimiter(limiter, { ip: '2', body: { email: 'ana@example.com' } })).status, 429);
+    assert.equal((await runLimiter(limiter, { ip: '3', body: {} })).error, null);
+    assert.equal((await runLimiter(limiter, { ip: '3', body: {} })).error, null);
+});
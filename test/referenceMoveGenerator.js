@@ -0,0 +1,129 @@
+// test/referenceMoveGenerator.js
+
+// =================================================================
+// --- GERADOR DE LANCES DE REFERÊNCIA ---
+// =================================================================
+// O gerador anterior ao gerador compacto (clones JSON, sem fazer/desfazer). É lento mas simples:
+// serve de referência aos testes do motor e de termo de comparação no benchmark (perft.js).
+
+const { getVariant, oppositeColor } = require('../gameEngine.js');
+
+const isValidSquare = (board, r, c) => r >= 0 && r < board.length && c >= 0 && c < board.length;
+
+function referenceFindAllPossibleMoves(board, playerColor, variant = getVariant()) {
+    const size = board.length;
+    let allCaptures = [];
+    for (let r = 0; r < size; r++) { for (let c = 0; c < size; c++) {
+        const piece = board[r][c];
+        if (piece && piece.toLowerCase().startsWith(playerColor[0])) {
+            const sequences = referenceCaptureSequences(board, r, c, variant);
+            sequences.forEach(seq => allCaptures.push({
+                from: {row: r, col: c}, to: seq.path[seq.path.length-1], path: seq.path, captures: seq.captures,
+                ...(seq.promotes && { promotes: true })
+            }));
+        }
+    }}
+    if (allCaptures.length > 0) {
+        if (!variant.mandatoryMaxCapture) return allCaptures;
+        const max = Math.max(...allCaptures.map(m => m.captures.length));
+        return allCaptures.filter(m => m.captures.length === max);
+    }
+    let simpleMoves = [];
+    for (let r = 0; r < size; r++) { for (let c = 0; c < size; c++) {
+        const piece = board[r][c];
+        if (piece && piece.toLowerCase().startsWith(playerColor[0])) {
+            simpleMoves.push(...referenceSimpleMoves(board, r, c, variant));
+        }
+    }}
+    return simpleMoves;
+}
+
+// Devolve apenas as sequências completas (a captura tem de continuar enquanto for possível).
+// `promotes` marca as sequências em que a pedra foi promovida a meio da captura.
+function referenceCaptureSequences(board, r, c, variant = getVariant(), path = [], captures = [], promotes = false) {
+    const piece = board[r][c]; if (!piece) return [];
+    const size = board.length;
+    let finalSequences = [];
+    const playerColor = piece.toLowerCase().startsWith('w') ? 'white' : 'black';
+    const opponentColor = oppositeColor(playerColor);
+    const isKing = piece !== piece.toLowerCase();
+    const promotionRow = playerColor === 'white' ? 0 : size - 1;
+    const forwardDir = playerColor === 'white' ? -1 : 1;
+
+    const jump = (opponentR, opponentC, landR, landC) => {
+        const newBoard = JSON.parse(JSON.stringify(board));
+        newBoard[r][c] = null; newBoard[opponentR][opponentC] = null;
+        const newPath = [...path, { row: landR, col: landC }];
+        const newCaptures = [...captures, { row: opponentR, col: opponentC }];
+        const reachesPromotion = !isKing && landR === promotionRow;
+        if (reachesPromotion && variant.promotionDuringCapture === 'stop') {
+            finalSequences.push({ path: newPath, captures: newCaptures });
+            return;
+        }
+        const crowned = reachesPromotion && variant.promotionDuringCapture === 'continue';
+        newBoard[landR][landC] = crowned ? piece.toUpperCase() : piece;
+        const seqPromotes = promotes || crowned;
+        const deeperSequences = referenceCaptureSequences(newBoard, landR, landC, variant, newPath, newCaptures, seqPromotes);
+        if (deeperSequences.length > 0) finalSequences.push(...deeperSequences);
+        else finalSequences.push(seqPromotes ? { path: newPath, captures: newCaptures, promotes: true } : { path: newPath, captures: newCaptures });
+    };
+
+    for (const [dr, dc] of [[-1,-1], [-1,1], [1,-1], [1,1]]) {
+        if (isKing && variant.flyingKings) {
+            for (let i = 1; i < size; i++) {
+                const opponentR = r + dr * i, opponentC = c + dc * i;
+                if (!isValidSquare(board, opponentR, opponentC)) break;
+                const midPiece = board[opponentR][opponentC];
+                if (midPiece) {
+                    if (midPiece.toLowerCase().startsWith(opponentColor[0]) && !captures.some(cap => cap.row === opponentR && cap.col === opponentC)) {
+                        for (let j = 1; j < size; j++) {
+                            const landR = opponentR + dr * j, landC = opponentC + dc * j;
+                            if (!isValidSquare(board, landR, landC) || board[landR][landC]) break;
+                            jump(opponentR, opponentC, landR, landC);
+                        }
+                    }
+                    break;
+                }
+            }
+        } else { // Pedra, ou dama de passo curto
+            if (!isKing && !variant.menCaptureBackward && dr !== forwardDir) continue;
+            const opponentR = r + dr, opponentC = c + dc;
+            const landR = r + dr * 2, landC = c + dc * 2;
+            if (isValidSquare(board, landR, landC) && !board[landR][landC]) {
+                const midPiece = board[opponentR][opponentC];
+                if (midPiece && midPiece.toLowerCase().startsWith(opponentColor[0])) {
+                    jump(opponentR, opponentC, landR, landC);
+                }
+            }
+        }
+    }
+    return finalSequences;
+}
+
+function referenceSimpleMoves(board, r, c, variant = getVariant()) {
+    const piece = board[r][c]; const moves = [];
+    const size = board.length;
+    const playerColor = piece.toLowerCase().startsWith('w') ? 'white' : 'black';
+    const isKing = piece !== piece.toLowerCase();
+    if (isKing) {
+        const maxDistance = variant.flyingKings ? size - 1 : 1;
+        for (const [dr, dc] of [[-1,-1], [-1,1], [1,-1], [1,1]]) {
+            for (let i = 1; i <= maxDistance; i++) {
+                const newR = r + dr * i, newC = c + dc * i;
+                if (!isValidSquare(board, newR, newC) || board[newR][newC]) break;
+                moves.push({ from: {row: r, col: c}, to: {row: newR, col: newC}, path: [{row: newR, col: newC}], captures: [] });
+            }
+        }
+    } else {
+        const forwardDir = playerColor === 'white' ? -1 : 1;
+        for (const dc of [-1, 1]) {
+            const newR = r + forwardDir, newC = c + dc;
+            if (isValidSquare(board, newR, newC) && !board[newR][newC]) {
+                moves.push({ from: {row: r, col: c}, to: {row: newR, col: newC}, path: [{row: newR, col: newC}], captures: [] });
+            }
+        }
+    }
+    return moves;
+}
+
+module.exports = { referenceFindAllPossibleMoves };
@@ -0,0 +1,84 @@
+// test/totp.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TOTP, base32Encode, base32Decode, generateSecret, generateCode, verifyCode, buildOtpauthUri, encryptSecret, decryptSecret,
+} = require('../totp.js');
+
+// Segredo dos vetores de teste SHA-1 da RFC 6238 ("12345678901234567890" em base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+// Tempo (segundos) -> código de 8 dígitos da RFC; os nossos códigos são os últimos 6 dígitos
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+];
+
+test('gera os códigos dos vetores de teste da RFC 6238 (SHA-1)', () => {
+    for (const [seconds, expected] of RFC_VECTORS) {
+        const step = Math.floor(seconds / TOTP.periodSeconds);
+        assert.equal(generateCode(RFC_SECRET, step), expected.slice(-TOTP.digits), `T=${seconds}`);
+    }
+});
+
+test('verifyCode devolve o passo do código e tolera um passo de desvio', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / 1000 / TOTP.periodSeconds);
+    assert.equal(verifyCode(RFC_SECRET, '050471', now), step);
+    assert.equal(verifyCode(RFC_SECRET, ' 050 471 ', now), step);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), now), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), now), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), now), null);
+});
+
+test('verifyCode recusa códigos mal formados', () => {
+    const now = 59 * 1000;
+    for (const code of [undefined, '', '12345', '1234567', 'abcdef', '28708a']) {
+        assert.equal(verifyCode(RFC_SECRET, code, now), null, String(code));
+    }
+});
+
+test('base32: ida e volta para todos os comprimentos de bloco', () => {
+    assert.equal(base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    // Vetores da RFC 4648 (sem padding)
+    const vectors = { f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+    for (const [plain, encoded] of Object.entries(vectors)) {
+        assert.equal(base32Encode(Buffer.from(plain)), encoded);
+        assert.equal(base32Decode(encoded).toString(), plain);
+    }
+    const random = require('crypto').randomBytes(37);
+    assert.deepEqual(base32Decode(base32Encode(random)), random);
+});
+
+test('base32: segredos gerados aceitam letras minúsculas e padding', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const code = generateCode(secret, 42);
+    assert.equal(generateCode(secret.toLowerCase(), 42), code);
+    assert.equal(generateCode(`${secret}====`, 42), code);
+    assert.throws(() => generateCode('ABC1', 42), /Segredo TOTP inválido/);
+});
+
+test('buildOtpauthUri inclui o emissor, o segredo e os parâmetros do código', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'ana@example.com'));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), `/${TOTP.issuer}:ana@example.com`);
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), TOTP.issuer);
+    assert.equal(uri.searchParams.get('digits'), String(TOTP.digits));
+    assert.equal(uri.searchParams.get('period'), String(TOTP.periodSeconds));
+});
+
+test('encryptSecret/decryptSecret fazem a ida e volta e detetam adulteração', () => {
+    const stored = encryptSecret(RFC_SECRET);
+    assert.notEqual(stored, encryptSecret(RFC_SECRET));
+    assert.equal(decryptSecret(stored), RFC_SECRET);
+    const [iv, tag, data] = stored.split(':');
+    const tampered = [iv, tag, (data[0] === '0' ? '1' : '0') + data.slice(1)].join(':');
+    assert.throws(() => decryptSecret(tampered));
+});
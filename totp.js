@@ -0,0 +1,117 @@
+// totp.js
+
+// =================================================================
+// --- AUTENTICAÇÃO DE DOIS FATORES (TOTP, RFC 6238) ---
+// =================================================================
+// Códigos de 6 dígitos renovados a cada 30 segundos, compatíveis com Google Authenticator, Authy, etc.
+// O segredo é guardado cifrado (AES-256-GCM) com TOTP_ENCRYPTION_KEY (ou JWT_SECRET, se não existir).
+
+const crypto = require('crypto');
+
+const TOTP = {
+    issuer: 'BrainSkill',
+    digits: 6,
+    periodSeconds: 30,
+    // Passos aceites antes e depois do atual, para tolerar relógios desacertados
+    window: 1,
+    recoveryCodes: 10,
+};
+
+// --- 1. BASE32 ---
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0, value = 0, output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Segredo TOTP inválido.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// --- 2. CÓDIGOS ---
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) para o passo de tempo `step`
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP.digits).padStart(TOTP.digits, '0');
+};
+
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP.periodSeconds);
+
+// Devolve o passo de tempo em que o código é válido, ou null. O chamador guarda o passo
+// para impedir que o mesmo código seja usado duas vezes.
+const verifyCode = (secret, code, now = Date.now()) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP.digits}}$`).test(candidate)) return null;
+    const current = getTimeStep(now);
+    for (let step = current - TOTP.window; step <= current + TOTP.window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(candidate))) return step;
+    }
+    return null;
+};
+
+// URI para o QR code lido pela aplicação de autenticação
+const buildOtpauthUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret, issuer: TOTP.issuer, algorithm: 'SHA1', digits: String(TOTP.digits), period: String(TOTP.periodSeconds),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// Códigos de recuperação de uso único, no formato xxxxx-xxxxx
+const generateRecoveryCodes = () => Array.from({ length: TOTP.recoveryCodes }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// --- 3. CIFRA DO SEGREDO ---
+const getEncryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, data] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    TOTP, base32Encode, base32Decode, generateSecret, generateCode, verifyCode, buildOtpauthUri, generateRecoveryCodes, encryptSecret, decryptSecret,
+};